@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * anthropic-cli.cjs - Generic Anthropic-compatible provider
+ *
+ * Sends a prompt to any endpoint that speaks the Anthropic Messages API.
+ * Endpoints are presets (e.g. `zai`) or entries under `anthropic_endpoints`
+ * in ~/.claude/multi_provider_config.json (host, port, path, protocol, auth
+ * header, model mapping; see lib/anthropic-compatible.js).
+ *
+ * Usage: /anthropic-cli {"endpoint": "local", "prompt": "...", "model": "sonnet"}
+ *
+ * Accepts the same Messages API parameters as /zai-cli (system, temperature,
+ * top_p, max_tokens, stop_sequences, metadata) plus stream, session_id,
+ * cache and the context injector fields (inject_context, task_type, context,
+ * context_strategy, include, exclude, context_budget).
+ * `{"action": "list-endpoints"}` lists the known endpoints.
+ */
+
+const { createEventStream, writeResponse } = require("../lib/stream.js");
+const {
+  listEndpoints,
+  resolveEndpoint,
+  mapModel,
+  getEndpointApiKey,
+  pickMessageParams,
+  runMessages
+} = require("../lib/anthropic-compatible.js");
+
+function writeError(errorType, message) {
+  const response = {
+    provider: "anthropic",
+    success: false,
+    error_type: errorType,
+    retryable: false,
+    message
+  };
+  process.stdout.write(JSON.stringify(response, null, 2));
+  process.exit(1);
+}
+
+async function main() {
+  const inputChunks = [];
+  const MAX_INPUT_SIZE = 10 * 1024 * 1024; // 10MB limit
+  let totalSize = 0;
+
+  for await (const chunk of process.stdin) {
+    totalSize += chunk.length;
+    if (totalSize > MAX_INPUT_SIZE) {
+      console.error("Input too large (>10MB)");
+      process.exit(1);
+    }
+    inputChunks.push(chunk);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.concat(inputChunks).toString("utf8") || "{}");
+  } catch (err) {
+    console.error("Failed to parse JSON input:", err.message);
+    process.exit(1);
+  }
+
+  if (payload.action === "list-endpoints") {
+    const endpoints = listEndpoints().map((name) => {
+      const endpoint = resolveEndpoint(name);
+      if (!endpoint) {
+        return { name, error: "Missing url or host" };
+      }
+      return endpoint.invalid_url
+        ? { name, error: endpoint.invalid_url }
+        : { name, label: endpoint.label, url: endpoint.url.href, default_model: endpoint.default_model };
+    });
+    process.stdout.write(JSON.stringify({ success: true, endpoints }, null, 2));
+    return;
+  }
+
+  const { prompt, model, stream, session_id, cache, inject_context, task_type, context, context_strategy, include, exclude, context_budget } = payload;
+
+  const endpoint = resolveEndpoint(payload.endpoint);
+  if (!endpoint) {
+    writeError("invalid_request", `Unknown or incomplete \`endpoint\` '${payload.endpoint}'. Available: ${listEndpoints().join(", ")}`);
+  }
+  if (!prompt || typeof prompt !== "string") {
+    writeError("invalid_request", "Missing required field `prompt` (string).");
+  }
+
+  const sentModel = mapModel(endpoint, model);
+  const events = stream === true
+    ? createEventStream(endpoint.provider, { endpoint: endpoint.name, model: sentModel })
+    : null;
+  const result = await runMessages(endpoint, prompt, model, getEndpointApiKey(endpoint), {
+    onEvent: events && events.emit,
+    sessionId: session_id,
+    cache,
+    system: payload.system,
+    injectContext: inject_context,
+    taskType: task_type,
+    context,
+    contextStrategy: context_strategy,
+    include,
+    exclude,
+    contextBudget: context_budget
+  }, pickMessageParams(payload));
+
+  const response = result.ok
+    ? {
+      provider: endpoint.provider,
+      endpoint: endpoint.name,
+      model: result.model || sentModel,
+      success: true,
+      output: result.output
+    }
+    : {
+      provider: endpoint.provider,
+      endpoint: endpoint.name,
+      success: false,
+      error_type: result.type,
+      retryable: result.type === "timeout" || result.type === "server_error",
+      message: result.message
+    };
+  for (const key of ["stop_reason", "usage", "session_id", "cached", "context_injection", "trimmed"]) {
+    if (result[key] !== undefined) {
+      response[key] = result[key];
+    }
+  }
+
+  writeResponse(response, events);
+  if (!result.ok) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("Unexpected error in anthropic-cli command:", err);
+    process.exit(1);
+  });
+}
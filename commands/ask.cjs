@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * ask.cjs - Unified provider router
+ *
+ * Routes a single normalized request to any provider command and returns
+ * one consistent response envelope.
+ *
+ * Usage: /ask {"provider": "gemini", "prompt": "...", "model": "...", "access": "read-only"}
+ *
+ * Fields:
+ *   provider - codex (openai), gemini, kimi (moonshot), qwen, zai (glm)
+ *   prompt   - required prompt string
+ *   model    - optional, provider default when omitted
+ *   access   - optional: read-only, edit, full
+ *              codex: --sandbox read-only / workspace-write / danger-full-access
+ *              gemini, qwen: --approval-mode default / auto_edit / yolo
+ *              kimi: --yolo only for "full"
+ *
+ * Provider-specific fields (sandbox, approval_policy, approval_mode, yolo)
+ * are passed through unchanged and override `access`.
+ *
+ * Fallback:
+ *   fallback - true to use the configured `fallback_chain`
+ *              (~/.claude/multi_provider_config.json), or an explicit list
+ *              such as ["qwen", "zai", "codex"]. On limit, auth, circuit
+ *              breaker and other non-content errors the next provider is tried.
+ *              Without `provider`, the first entry of the list is the primary.
+ *   models   - optional per-provider models for the chain, e.g. {"qwen": "qwen3-max"}
+ *
+ * Streaming:
+ *   stream   - true for NDJSON events (start, delta, stderr, done/error);
+ *              every event names the provider that produced it
+ */
+
+const {
+  buildFallbackChain,
+  listProviders,
+  resolveProvider,
+  runProvider,
+  runWithFallback,
+  validateRequest
+} = require("../lib/providers.js");
+const { createEventStream, writeResponse } = require("../lib/stream.js");
+
+function writeError(provider, errorType, message) {
+  const response = {
+    provider: provider || null,
+    success: false,
+    error_type: errorType,
+    retryable: false,
+    message
+  };
+  process.stdout.write(JSON.stringify(response, null, 2));
+  process.exit(1);
+}
+
+async function main() {
+  const inputChunks = [];
+  const MAX_INPUT_SIZE = 10 * 1024 * 1024; // 10MB limit
+  let totalSize = 0;
+
+  for await (const chunk of process.stdin) {
+    totalSize += chunk.length;
+    if (totalSize > MAX_INPUT_SIZE) {
+      console.error("Input too large (>10MB)");
+      process.exit(1);
+    }
+    inputChunks.push(chunk);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.concat(inputChunks).toString("utf8") || "{}");
+  } catch (err) {
+    console.error("Failed to parse JSON input:", err.message);
+    process.exit(1);
+  }
+
+  if (payload.action === "list-providers") {
+    process.stdout.write(JSON.stringify({ success: true, providers: listProviders() }, null, 2));
+    return;
+  }
+
+  const fallback = payload.fallback;
+  if (fallback !== undefined && typeof fallback !== "boolean" && !Array.isArray(fallback)) {
+    writeError(payload.provider, "invalid_request", "Field `fallback` must be a boolean or a list of providers.");
+  }
+
+  const primary = payload.provider || (Array.isArray(fallback) ? fallback[0] : undefined);
+  const provider = resolveProvider(primary);
+  if (!provider) {
+    writeError(
+      primary,
+      "invalid_provider",
+      `Unknown or missing \`provider\`. Available: ${listProviders().join(", ")}`
+    );
+  }
+
+  const validationError = validateRequest(payload);
+  if (validationError) {
+    writeError(provider, "invalid_request", validationError);
+  }
+
+  const events = payload.stream === true ? createEventStream(provider, { model: payload.model || null }) : null;
+  const runOptions = { onEvent: events && events.emit };
+  const response = fallback
+    ? await runWithFallback(buildFallbackChain(provider, fallback), payload, runOptions)
+    : await runProvider(provider, payload, runOptions);
+  writeResponse(response, events);
+
+  if (!response.success) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("Unexpected error in ask command:", err);
+    process.exit(1);
+  });
+}
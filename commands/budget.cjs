@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * budget.cjs - Budget caps per provider
+ *
+ * Caps are configured under `budgets` in ~/.claude/multi_provider_config.json
+ * (see lib/budget.js). A provider over its cap refuses requests with
+ * `error_type: "budget"` before the CLI or API is called.
+ *
+ * Actions:
+ *   status - Used, limit and remaining requests/tokens per provider for the
+ *            current day and month (default)
+ *            {"action": "status", "provider": "gemini"}
+ */
+
+const { getBudgetStatus } = require("../lib/budget.js");
+const { listProviders, resolveProvider } = require("../lib/providers.js");
+
+async function readStdinJson() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  if (!chunks.length) return {};
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    return {};
+  }
+}
+
+function handleAction(payload) {
+  const action = payload.action || "status";
+
+  switch (action) {
+    case "status": {
+      let providers = listProviders();
+      if (payload.provider !== undefined) {
+        const provider = resolveProvider(payload.provider);
+        if (!provider) {
+          return {
+            success: false,
+            error: "invalid_provider",
+            message: `Unknown provider '${payload.provider}'. Available: ${providers.join(", ")}`
+          };
+        }
+        providers = [provider];
+      }
+      return { success: true, providers: getBudgetStatus(providers) };
+    }
+
+    default:
+      return {
+        success: false,
+        error: "invalid_action",
+        message: `Unknown action: ${action}`,
+        available_actions: ["status"]
+      };
+  }
+}
+
+async function main() {
+  const payload = await readStdinJson();
+  const result = handleAction(payload);
+  console.log(JSON.stringify(result, null, 2));
+  if (!result.success) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.log(JSON.stringify({
+      success: false,
+      error: "unexpected_error",
+      message: err.message
+    }, null, 2));
+    process.exit(1);
+  });
+}
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * consensus.cjs - Parallel fan-out across providers
+ *
+ * Sends the same prompt to several providers at once and returns every
+ * result side by side (including failures and timings) plus an agreement
+ * summary. Each provider keeps its own circuit breaker.
+ *
+ * Usage: /consensus {"prompt": "...", "providers": ["codex", "gemini", "qwen"]}
+ *
+ * Fields:
+ *   prompt    - required prompt string
+ *   providers - optional, default from `consensus_providers` in
+ *               ~/.claude/multi_provider_config.json (codex, gemini, qwen)
+ *   models    - optional per-provider models, e.g. {"gemini": "gemini-2.5-pro"}
+ *   access    - optional, only "read-only": parallel runs must not edit the
+ *               same workspace, so write-capable modes (access "edit" /
+ *               "full", sandbox, approval_policy, approval_mode, yolo) are
+ *               rejected
+ *
+ * Judge mode:
+ *   judge       - provider that ranks the successful answers, e.g. "zai".
+ *                 Answers are shuffled and anonymized (Answer A, B, ...).
+ *   judge_model - optional model for the judge
+ *   answers     - optional existing answers [{"provider": "...", "output": "..."}];
+ *                 when given, no fan-out happens and only the judge is asked
+ */
+
+const { loadConfig } = require("../lib/config.js");
+const { listProviders, resolveProvider, validateRequest } = require("../lib/providers.js");
+const { computeAgreement, runConsensus } = require("../lib/consensus.js");
+const { runJudge } = require("../lib/judge.js");
+
+function writeError(errorType, message) {
+  const response = {
+    success: false,
+    error_type: errorType,
+    retryable: false,
+    message
+  };
+  process.stdout.write(JSON.stringify(response, null, 2));
+  process.exit(1);
+}
+
+// Provider-specific fields that take precedence over `access`
+const WRITE_FIELDS = ["sandbox", "approval_policy", "approval_mode", "yolo"];
+
+async function judgeExistingAnswers(payload) {
+  if (!payload.judge) {
+    writeError("invalid_request", "Field `answers` requires a `judge`.");
+  }
+  if (!payload.prompt || typeof payload.prompt !== "string") {
+    writeError("invalid_request", "Missing required field `prompt` (string).");
+  }
+  const valid = Array.isArray(payload.answers) &&
+    payload.answers.every(a => a && typeof a.output === "string");
+  if (!valid) {
+    writeError("invalid_request", "Field `answers` must be a list of {\"provider\": \"...\", \"output\": \"...\"}.");
+  }
+
+  const candidates = payload.answers.map((answer, index) => ({
+    provider: answer.provider || `answer_${index + 1}`,
+    output: answer.output
+  }));
+  const judgement = await runJudge(payload.judge, payload.prompt, candidates, {
+    model: payload.judge_model
+  });
+
+  const response = {
+    success: judgement.success,
+    agreement: computeAgreement(candidates.map(c => ({ ...c, success: true }))),
+    judgement
+  };
+  process.stdout.write(JSON.stringify(response, null, 2));
+
+  if (!response.success) {
+    process.exit(1);
+  }
+}
+
+async function main() {
+  const inputChunks = [];
+  const MAX_INPUT_SIZE = 10 * 1024 * 1024; // 10MB limit
+  let totalSize = 0;
+
+  for await (const chunk of process.stdin) {
+    totalSize += chunk.length;
+    if (totalSize > MAX_INPUT_SIZE) {
+      console.error("Input too large (>10MB)");
+      process.exit(1);
+    }
+    inputChunks.push(chunk);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.concat(inputChunks).toString("utf8") || "{}");
+  } catch (err) {
+    console.error("Failed to parse JSON input:", err.message);
+    process.exit(1);
+  }
+
+  if (payload.judge !== undefined && !resolveProvider(payload.judge)) {
+    writeError("invalid_provider", `Unknown judge '${payload.judge}'. Available: ${listProviders().join(", ")}`);
+  }
+
+  if (payload.answers !== undefined) {
+    await judgeExistingAnswers(payload);
+    return;
+  }
+
+  const requested = payload.providers || loadConfig().consensus_providers;
+  if (!Array.isArray(requested) || requested.length === 0) {
+    writeError("invalid_request", "Field `providers` must be a non-empty list of providers.");
+  }
+
+  const providers = [];
+  for (const name of requested) {
+    const provider = resolveProvider(name);
+    if (!provider) {
+      writeError("invalid_provider", `Unknown provider '${name}'. Available: ${listProviders().join(", ")}`);
+    }
+    if (!providers.includes(provider)) {
+      providers.push(provider);
+    }
+  }
+
+  // Parallel runs must not edit the same workspace concurrently
+  if (payload.access !== undefined && payload.access !== "read-only") {
+    writeError("invalid_request", "/consensus only runs read-only; `access` must be \"read-only\".");
+  }
+  const writeField = WRITE_FIELDS.find(field => payload[field] !== undefined);
+  if (writeField) {
+    writeError("invalid_request", `/consensus only runs read-only; field \`${writeField}\` is not supported.`);
+  }
+  const request = { ...payload, access: "read-only" };
+  const validationError = validateRequest(request);
+  if (validationError) {
+    writeError("invalid_request", validationError);
+  }
+
+  const consensus = await runConsensus(providers, request);
+  const response = {
+    success: consensus.agreement.answered > 0,
+    providers,
+    results: consensus.results,
+    agreement: consensus.agreement,
+    duration_ms: consensus.duration_ms
+  };
+
+  if (payload.judge) {
+    const candidates = consensus.results
+      .filter(r => r.success)
+      .map(r => ({ provider: r.provider, output: r.output }));
+    response.judgement = await runJudge(payload.judge, payload.prompt, candidates, {
+      model: payload.judge_model
+    });
+  }
+
+  process.stdout.write(JSON.stringify(response, null, 2));
+
+  if (!response.success) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("Unexpected error in consensus command:", err);
+    process.exit(1);
+  });
+}
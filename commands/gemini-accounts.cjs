@@ -14,11 +14,18 @@
  *   set     - Aktuellen Account manuell setzen
  *   rotate  - Zum naechsten Account wechseln
  *   strategy - Rotations-Strategie aendern
+ *   limits  - RPM/RPD-Limits fuer Paid-Accounts anzeigen/setzen
  *
  * Account-Typen:
  *   free - Kostenloser Account (15 RPM Flash, 2 RPM Pro, 1500 RPD)
  *   paid - Bezahlter Account (hoehere Limits)
  *
+ * Limits:
+ *   Vor jedem Request prueft gemini-cli-improved die RPM/RPD-Limits pro
+ *   Account und Modell. Free-Accounts nutzen FREE_LIMITS, Paid-Accounts
+ *   `paid_limits` aus der Config (ohne Eintrag: unbegrenzt). Ein Account
+ *   kann mit `limits` eigene Werte pro Modell setzen.
+ *
  * Strategien:
  *   paid_first  - Paid-Accounts bevorzugen (Zuverlaessigkeit)
  *   free_first  - Free-Accounts zuerst (Kosten sparen)
@@ -36,11 +43,17 @@ const USAGE_FILE = path.join(CONFIG_DIR, "gemini_usage.json");
 const DEFAULT_CONFIG = {
   accounts: [],
   current_index: 0,
-  strategy: "free_first" // free_first, paid_first, round_robin
+  strategy: "free_first", // free_first, paid_first, round_robin
+  paid_limits: {} // { "<modell>": { rpm, rpd } } - ohne Eintrag unbegrenzt
 };
 
+// Modell der Gemini CLI wenn kein `model` angegeben ist
+const DEFAULT_MODEL = "gemini-2.5-pro";
+
 // Gemini Free Tier Limits (Stand 2025)
 const FREE_LIMITS = {
+  "gemini-2.5-pro": { rpm: 5, rpd: 100 },
+  "gemini-2.5-flash": { rpm: 10, rpd: 250 },
   "gemini-1.5-flash": { rpm: 15, rpd: 1500 },
   "gemini-1.5-pro": { rpm: 2, rpd: 50 },
   "gemini-2.0-flash": { rpm: 15, rpd: 1500 },
@@ -93,6 +106,125 @@ function saveUsage(usage) {
   fs.writeFileSync(USAGE_FILE, JSON.stringify(usage, null, 2));
 }
 
+/**
+ * Ermittelt die RPM/RPD-Limits fuer Account + Modell.
+ * Reihenfolge: Account-eigene `limits`, dann `paid_limits` (paid) bzw.
+ * FREE_LIMITS (free). null bedeutet unbegrenzt.
+ */
+function getLimits(config, account, model) {
+  const modelName = model || DEFAULT_MODEL;
+  if (account.limits && account.limits[modelName]) {
+    return account.limits[modelName];
+  }
+  if (account.type === "paid") {
+    return (config.paid_limits || {})[modelName] || null;
+  }
+  return FREE_LIMITS[modelName] || null;
+}
+
+/**
+ * Berechnet die verbleibenden Requests fuer Account + Modell
+ * (rpm = letzte 60 Sekunden, rpd = heute).
+ */
+function getQuota(config, usage, account, model) {
+  const modelName = model || DEFAULT_MODEL;
+  const limits = getLimits(config, account, modelName);
+  const modelUsage = ((usage.accounts[account.name] || {}).models || {})[modelName] || { requests: 0, minute: [] };
+  const now = Date.now();
+  const recent = (modelUsage.minute || []).filter(ts => now - ts < 60 * 1000);
+
+  if (!limits) {
+    return {
+      model: modelName,
+      limited: false,
+      requests_today: modelUsage.requests,
+      requests_last_minute: recent.length
+    };
+  }
+
+  const rpmRemaining = Math.max(0, limits.rpm - recent.length);
+  const rpdRemaining = Math.max(0, limits.rpd - modelUsage.requests);
+  const quota = {
+    model: modelName,
+    limited: true,
+    rpm: limits.rpm,
+    rpd: limits.rpd,
+    rpm_remaining: rpmRemaining,
+    rpd_remaining: rpdRemaining,
+    exhausted: rpmRemaining === 0 || rpdRemaining === 0
+  };
+  if (rpdRemaining === 0) {
+    quota.reason = "rpd";
+  } else if (rpmRemaining === 0) {
+    quota.reason = "rpm";
+    quota.retry_after_seconds = Math.ceil((Math.min(...recent) + 60 * 1000 - now) / 1000);
+  }
+  return quota;
+}
+
+/**
+ * Zaehlt einen Request fuer Account + Modell im Usage-File hoch
+ */
+function incrementUsage(name, model) {
+  const modelName = model || DEFAULT_MODEL;
+  const usage = loadUsage();
+  const accUsage = usage.accounts[name] || { requests: 0 };
+  accUsage.requests += 1;
+  accUsage.last_request = new Date().toISOString();
+
+  const now = Date.now();
+  accUsage.models = accUsage.models || {};
+  const modelUsage = accUsage.models[modelName] || { requests: 0, minute: [] };
+  modelUsage.requests += 1;
+  modelUsage.minute = (modelUsage.minute || []).filter(ts => now - ts < 60 * 1000);
+  modelUsage.minute.push(now);
+  accUsage.models[modelName] = modelUsage;
+
+  usage.accounts[name] = accUsage;
+  saveUsage(usage);
+  return accUsage;
+}
+
+/**
+ * Quota-Uebersicht fuer alle Modelle mit Limit (plus heute genutzte)
+ */
+function describeQuota(config, usage, account) {
+  const limitTable = account.type === "paid" ? (config.paid_limits || {}) : FREE_LIMITS;
+  const usedModels = Object.keys((usage.accounts[account.name] || {}).models || {});
+  const models = new Set([
+    ...Object.keys(limitTable),
+    ...Object.keys(account.limits || {}),
+    ...usedModels
+  ]);
+  const quota = {};
+  for (const model of models) {
+    quota[model] = getQuota(config, usage, account, model);
+    delete quota[model].model;
+  }
+  return quota;
+}
+
+/**
+ * Liefert den aktuellen aktiven Account (rotiert weiter, falls der
+ * aktuelle deaktiviert ist). null wenn kein aktiver Account existiert.
+ * Ein ungueltiger current_index wird korrigiert und gespeichert.
+ */
+function getCurrentAccount(config) {
+  if (config.accounts.length === 0) return null;
+
+  if (!Number.isInteger(config.current_index) || config.current_index < 0 ||
+      config.current_index >= config.accounts.length) {
+    config.current_index = 0;
+    saveConfig(config);
+  }
+
+  const current = config.accounts[config.current_index];
+  if (current.active) return current;
+
+  const rotation = rotateToNext(config);
+  return rotation.success ? config.accounts[config.current_index] : null;
+}
+
 function maskApiKey(key) {
   if (!key || key.length < 12) return "***";
   return key.substring(0, 6) + "..." + key.substring(key.length - 4);
@@ -111,7 +243,12 @@ async function readStdinJson() {
   }
 }
 
-function addAccount(config, name, apiKey, type, priority) {
+// rpm und rpd muessen positive ganze Zahlen sein
+function isValidLimit(rpm, rpd) {
+  return Number.isInteger(rpm) && rpm > 0 && Number.isInteger(rpd) && rpd > 0;
+}
+
+function addAccount(config, name, apiKey, type, priority, limits) {
   // Pruefe ob Name bereits existiert
   if (config.accounts.find(a => a.name === name)) {
     return {
@@ -121,6 +258,16 @@ function addAccount(config, name, apiKey, type, priority) {
     };
   }
 
+  // limits: { modell: { rpm, rpd } }, wie bei der limits-Action
+  if (limits !== undefined && (!limits || typeof limits !== "object" || Array.isArray(limits) ||
+    Object.values(limits).some(entry => !entry || !isValidLimit(entry.rpm, entry.rpd)))) {
+    return {
+      success: false,
+      error: "invalid_limits",
+      message: "limits muss { modell: { rpm, rpd } } mit positiven ganzen Zahlen sein"
+    };
+  }
+
   const newAccount = {
     name,
     api_key: apiKey,
@@ -129,6 +276,9 @@ function addAccount(config, name, apiKey, type, priority) {
     active: true,
     added: new Date().toISOString()
   };
+  if (limits !== undefined) {
+    newAccount.limits = limits;
+  }
 
   config.accounts.push(newAccount);
 
@@ -254,7 +404,8 @@ function getStatus(config, usage) {
       type: current.type,
       api_key_preview: maskApiKey(current.api_key),
       requests_today: accountUsage.requests,
-      active: current.active
+      active: current.active,
+      quota: describeQuota(config, usage, current)
     } : null,
     usage_date: usage.date
   };
@@ -279,7 +430,8 @@ function listAccounts(config, usage) {
       active: acc.active,
       current: idx === config.current_index,
       requests_today: accUsage.requests,
-      priority: acc.priority
+      priority: acc.priority,
+      quota: describeQuota(config, usage, acc)
     };
   });
 
@@ -291,6 +443,56 @@ function listAccounts(config, usage) {
   };
 }
 
+/**
+ * Zeigt oder setzt RPM/RPD-Limits.
+ *   ohne name: `paid_limits` fuer alle Paid-Accounts
+ *   mit name:  Account-eigene Limits (free und paid)
+ */
+function setLimits(config, payload) {
+  let target = config;
+  let key = "paid_limits";
+  if (payload.name) {
+    target = config.accounts.find(a => a.name === payload.name);
+    key = "limits";
+    if (!target) {
+      return {
+        success: false,
+        error: "not_found",
+        message: `Account '${payload.name}' nicht gefunden`
+      };
+    }
+  }
+
+  if (!payload.model) {
+    return {
+      success: true,
+      scope: payload.name || "paid",
+      limits: target[key] || {},
+      free_limits: FREE_LIMITS
+    };
+  }
+
+  const rpm = payload.rpm;
+  const rpd = payload.rpd;
+  if (!isValidLimit(rpm, rpd)) {
+    return {
+      success: false,
+      error: "invalid_limits",
+      message: "rpm und rpd muessen positive ganze Zahlen sein"
+    };
+  }
+
+  target[key] = target[key] || {};
+  target[key][payload.model] = { rpm, rpd };
+  saveConfig(config);
+
+  return {
+    success: true,
+    message: `Limits fuer ${payload.model} (${payload.name || "paid"}) gesetzt: ${rpm} RPM, ${rpd} RPD`,
+    limits: target[key]
+  };
+}
+
 async function main() {
   const payload = await readStdinJson();
   const action = payload.action || "status";
@@ -304,7 +506,7 @@ async function main() {
         console.log(JSON.stringify({
           success: false,
           error: "missing_params",
-          message: "Erforderlich: name, api_key. Optional: type (free/paid), priority (Zahl)",
+          message: "Erforderlich: name, api_key. Optional: type (free/paid), priority (Zahl), limits ({modell: {rpm, rpd}})",
           example: {
             action: "add",
             name: "mein-account",
@@ -315,7 +517,7 @@ async function main() {
         return;
       }
       console.log(JSON.stringify(
-        addAccount(config, payload.name, payload.api_key, payload.type, payload.priority),
+        addAccount(config, payload.name, payload.api_key, payload.type, payload.priority, payload.limits),
         null, 2
       ));
       break;
@@ -438,20 +640,40 @@ async function main() {
       }, null, 2));
       break;
 
+    case "limits":
+      console.log(JSON.stringify(setLimits(config, payload), null, 2));
+      break;
+
     default:
       console.log(JSON.stringify({
         success: false,
         error: "invalid_action",
         message: `Unbekannte Aktion: ${action}`,
-        available_actions: ["add", "remove", "list", "status", "rotate", "set", "strategy", "toggle"]
+        available_actions: ["add", "remove", "list", "status", "rotate", "set", "strategy", "toggle", "limits"]
       }, null, 2));
   }
 }
 
-main().catch((err) => {
-  console.log(JSON.stringify({
-    success: false,
-    error: "unexpected_error",
-    message: err.message
-  }, null, 2));
-});
+module.exports = {
+  FREE_LIMITS,
+  DEFAULT_MODEL,
+  loadConfig,
+  loadUsage,
+  saveUsage,
+  incrementUsage,
+  getLimits,
+  getQuota,
+  getCurrentAccount,
+  rotateToNext,
+  maskApiKey
+};
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.log(JSON.stringify({
+      success: false,
+      error: "unexpected_error",
+      message: err.message
+    }, null, 2));
+  });
+}
@@ -3,6 +3,11 @@
 const { execFile } = require("node:child_process");
 const fs = require("fs");
 const path = require("path");
+const geminiAccounts = require("./gemini-accounts.cjs");
+const { createEventStream, forwardChildOutput, writeResponse } = require("../lib/stream.js");
+const { runRequest } = require("../lib/request-pipeline.js");
+const { runWithChangeCapture } = require("../lib/change-capture.js");
+const { collectAttachments } = require("../lib/attachments.js");
 
 // Circuit Breaker State File
 const STATE_FILE = path.join(process.env.HOME || "/tmp", ".claude-gemini-cli-state.json");
@@ -112,44 +117,39 @@ function isServerError(stderr) {
   );
 }
 
-function runGemini(prompt, model, yolo, approvalMode) {
-  // Check circuit breaker BEFORE making request
-  const circuitState = isCircuitBreakerOpen();
-  if (circuitState.open) {
-    return Promise.resolve({
-      ok: false,
-      type: "circuit_breaker",
-      message: `Circuit breaker is open due to repeated failures. Please wait ${circuitState.remainingMinutes} minutes before retrying. This prevents overwhelming the API during outages.`
-    });
+function buildGeminiArgs(prompt, model, yolo, approvalMode) {
+  const args = [];
+  if (model) {
+    args.push("--model", model);
+  }
+  // YOLO / approval flags: Gemini CLI erlaubt NICHT --yolo und --approval-mode gleichzeitig
+  // Wenn approval_mode gesetzt ist, verwende das (hat Priorität)
+  // Wenn nur yolo=true, dann setze --approval-mode=yolo
+  // Wenn beides fehlt, nutze Gemini-Standardverhalten
+  if (approvalMode && typeof approvalMode === "string") {
+    args.push("--approval-mode", approvalMode);
+  } else if (yolo === true) {
+    args.push("--approval-mode", "yolo");
   }
+  // Non-interactive, single prompt invocation.
+  args.push(prompt);
+  return args;
+}
 
+// Runs the CLI once. Rate limits are NOT recorded as circuit breaker
+// failures here because the caller may still rotate to another account.
+function execGemini(args, env, onEvent) {
   return new Promise((resolve) => {
-    const args = [];
-    if (model) {
-      args.push("--model", model);
-    }
-    // YOLO / approval flags: Gemini CLI erlaubt NICHT --yolo und --approval-mode gleichzeitig
-    // Wenn approval_mode gesetzt ist, verwende das (hat Priorität)
-    // Wenn nur yolo=true, dann setze --approval-mode=yolo
-    // Wenn beides fehlt, nutze Gemini-Standardverhalten
-    if (approvalMode && typeof approvalMode === "string") {
-      args.push("--approval-mode", approvalMode);
-    } else if (yolo === true) {
-      args.push("--approval-mode", "yolo");
-    }
-    // Non-interactive, single prompt invocation.
-    args.push(prompt);
-
     const child = execFile("gemini", args, {
       maxBuffer: 1024 * 1024,
-      timeout: 300000  // 5 minutes timeout
+      timeout: 300000,  // 5 minutes timeout
+      env
     }, (error, stdout, stderr) => {
       if (error) {
         const stderrText = stderr.toString();
 
-        // Rate limit - record failure
+        // Rate limit - recorded by the caller once no account is left
         if (isRateLimitError(stderrText)) {
-          recordFailure();
           resolve({
             ok: false,
             type: "limit",
@@ -225,9 +225,108 @@ function runGemini(prompt, model, yolo, approvalMode) {
         });
       }
     });
+
+    forwardChildOutput(child, onEvent);
   });
 }
 
+async function runGeminiWithAccounts(prompt, model, yolo, approvalMode, options = {}) {
+  // Check circuit breaker BEFORE making request
+  const circuitState = isCircuitBreakerOpen();
+  if (circuitState.open) {
+    return {
+      ok: false,
+      type: "circuit_breaker",
+      message: `Circuit breaker is open due to repeated failures. Please wait ${circuitState.remainingMinutes} minutes before retrying. This prevents overwhelming the API during outages.`
+    };
+  }
+
+  const args = buildGeminiArgs(prompt, model, yolo, approvalMode);
+
+  // Without configured accounts, use the CLI's own login/session
+  const accountConfig = geminiAccounts.loadConfig();
+  let account = geminiAccounts.getCurrentAccount(accountConfig);
+  if (!account) {
+    const result = await execGemini(args, process.env, options.onEvent);
+    if (!result.ok && result.type === "limit") {
+      recordFailure();
+    }
+    return result;
+  }
+
+  // Rotate through active accounts on rate limits, each account at most once.
+  // Accounts whose RPM/RPD quota is already used up are skipped without
+  // calling the CLI, so we rotate before the API answers with 429.
+  const tried = [];
+  const exhausted = [];
+  while (account && !tried.includes(account.name) && !exhausted.some(e => e.account === account.name)) {
+    const quota = geminiAccounts.getQuota(accountConfig, geminiAccounts.loadUsage(), account, model);
+    if (quota.exhausted) {
+      exhausted.push({ account: account.name, reason: quota.reason, retry_after_seconds: quota.retry_after_seconds });
+    } else {
+      tried.push(account.name);
+      geminiAccounts.incrementUsage(account.name, model);
+
+      const result = await execGemini(args, { ...process.env, GEMINI_API_KEY: account.api_key }, options.onEvent);
+      if (result.ok || result.type !== "limit") {
+        return { ...result, account: account.name };
+      }
+    }
+
+    const rotation = geminiAccounts.rotateToNext(accountConfig);
+    account = rotation.success ? accountConfig.accounts[accountConfig.current_index] : null;
+  }
+
+  // Only real 429s count towards the circuit breaker, not the pre-flight refusal
+  if (tried.length > 0) {
+    recordFailure();
+  }
+  const names = [...tried, ...exhausted.map(e => `${e.account} (${e.reason} quota used up)`)];
+  return {
+    ok: false,
+    type: "limit",
+    retryable: false,
+    accounts_tried: tried,
+    accounts_exhausted: exhausted,
+    message: `Gemini rate limit reached on all active accounts (${names.join(", ")}). DO NOT RETRY automatically. Wait before manual retry.`
+  };
+}
+
+// Schreibende Modi: approval_mode yolo/auto_edit, oder yolo ohne approval_mode
+function isWriteMode(yolo, approvalMode) {
+  if (approvalMode && typeof approvalMode === "string") {
+    return approvalMode === "yolo" || approvalMode === "auto_edit";
+  }
+  return yolo === true;
+}
+
+/**
+ * Runs Gemini through the request pipeline
+ *
+ * options.files / options.directories are inlined before the prompt (see
+ * lib/attachments.js); the result then carries an `attachments` summary of
+ * what was attached and its estimated token cost. The session keeps only
+ * the question itself.
+ */
+async function runGemini(prompt, model, yolo, approvalMode, options = {}) {
+  const requested = options.files !== undefined || options.directories !== undefined;
+  const attached = collectAttachments({ files: options.files, directories: options.directories, provider: "gemini", model });
+  if (!attached.ok) {
+    return { ok: false, type: "invalid_request", message: attached.message };
+  }
+  const fullPrompt = attached.text ? `${attached.text}\n\n---\n\n${prompt}` : prompt;
+
+  // Write-capable runs are never cached: a replay would not apply the edits
+  const writes = isWriteMode(yolo, approvalMode);
+  const result = await runRequest({ provider: "gemini", model, prompt: fullPrompt, sessionPrompt: prompt, settings: { yolo, approvalMode }, options, cacheable: !writes }, (execPrompt) => {
+    const run = () => runGeminiWithAccounts(execPrompt, model, yolo, approvalMode, options);
+    return writes
+      ? runWithChangeCapture(process.cwd(), { revertOnFailure: options.revertOnFailure === true }, run)
+      : run();
+  });
+  return requested ? { ...result, attachments: attached.summary } : result;
+}
+
 async function main() {
   const inputChunks = [];
   const MAX_INPUT_SIZE = 10 * 1024 * 1024; // 10MB limit
@@ -260,7 +359,23 @@ async function main() {
     process.exit(1);
   }
 
-  const result = await runGemini(prompt, model, yolo, approvalMode);
+  const events = payload.stream === true ? createEventStream("gemini", { model: model || null }) : null;
+  const result = await runGemini(prompt, model, yolo, approvalMode, {
+    onEvent: events && events.emit,
+    sessionId: payload.session_id,
+    cache: payload.cache,
+    system: payload.system,
+    revertOnFailure: payload.revert_on_failure,
+    files: payload.files,
+    directories: payload.directories,
+    injectContext: payload.inject_context,
+    taskType: payload.task_type,
+    context: payload.context,
+    contextStrategy: payload.context_strategy,
+    include: payload.include,
+    exclude: payload.exclude,
+    contextBudget: payload.context_budget
+  });
 
   if (!result.ok) {
     const response = {
@@ -270,7 +385,21 @@ async function main() {
       retryable: result.retryable || false,
       message: result.message
     };
-    process.stdout.write(JSON.stringify(response, null, 2));
+    if (result.accounts_tried) {
+      response.accounts_tried = result.accounts_tried;
+      response.accounts_exhausted = result.accounts_exhausted;
+    } else if (result.account) {
+      response.account = result.account;
+    }
+    if (result.session_id) {
+      response.session_id = result.session_id;
+    }
+    for (const key of ["changes", "attachments", "context_injection", "trimmed"]) {
+      if (result[key]) {
+        response[key] = result[key];
+      }
+    }
+    writeResponse(response, events);
     process.exit(1);
   }
 
@@ -279,11 +408,29 @@ async function main() {
     success: true,
     output: result.output
   };
+  if (result.account) {
+    response.account = result.account;
+  }
+  if (result.session_id) {
+    response.session_id = result.session_id;
+  }
+  if (result.cached) {
+    response.cached = true;
+  }
+  for (const key of ["changes", "attachments", "context_injection", "trimmed"]) {
+    if (result[key]) {
+      response[key] = result[key];
+    }
+  }
 
-  process.stdout.write(JSON.stringify(response, null, 2));
+  writeResponse(response, events);
 }
 
-main().catch((err) => {
-  console.error("Unexpected error in gemini-cli command:", err);
-  process.exit(1);
-});
+module.exports = { runGemini, runGeminiWithAccounts, isCircuitBreakerOpen };
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("Unexpected error in gemini-cli command:", err);
+    process.exit(1);
+  });
+}
@@ -16,6 +16,7 @@ const { spawn, execSync } = require("node:child_process");
 const fs = require("node:fs");
 const path = require("node:path");
 const os = require("node:os");
+const { getProjectRoot } = require("../lib/workdir.js");
 
 const CONFIG_FILE = path.join(os.homedir(), ".kimi", "config.json");
 
@@ -157,7 +158,7 @@ function testConnection() {
 
     // Teste mit einem simplen Prompt
     const child = spawn(kimiPath, [
-      "-w", "/tmp",
+      "-w", getProjectRoot(),  // ohne --yolo: read-only
       "-c", "Say OK",
       "--print",
       "--output-format", "text"
@@ -14,14 +14,31 @@
  *   {
  *     "prompt": "Erklaere Quicksort",
  *     "model": "kimi-latest",
- *     "yolo": true
+ *     "system": "Antworte knapp.",
+ *     "workdir": "packages/api",
+ *     "yolo": false
  *   }
+ *
+ * `workdir` ist das Arbeitsverzeichnis der CLI (Standard: Projekt-Root des
+ * Aufrufers). Es muss existieren und im Projekt oder unter einem Eintrag von
+ * `workdir_allowlist` liegen (siehe lib/workdir.js). Ohne `yolo: true` laeuft
+ * Kimi read-only, d.h. ohne automatische Freigabe von Tool-Aufrufen.
+ *
+ * Die Kimi CLI kennt keinen System-Prompt; `system` wird daher von der
+ * Request-Pipeline vor den Prompt gesetzt.
+ *
+ * Die Antwort wird ueber `--output-format stream-json` gelesen: `output`
+ * enthaelt den Text, `steps` die Schritte des Agenten
+ * ([{ text, tool_calls: [{ id, name, arguments, result }] }]).
  */
 
 const { spawn } = require("node:child_process");
 const path = require("node:path");
 const fs = require("node:fs");
 const os = require("node:os");
+const { createEventStream, forwardChildOutput, writeResponse, createLineParser } = require("../lib/stream.js");
+const { runRequest } = require("../lib/request-pipeline.js");
+const { resolveWorkdir } = require("../lib/workdir.js");
 
 const DEFAULT_MODEL = "kimi-latest";
 
@@ -79,10 +96,165 @@ function isKimiConfigured() {
   }
 }
 
+// Meldungen aelterer Kimi CLIs, die `--output-format stream-json` nicht kennen
+const UNSUPPORTED_FORMAT_PATTERN = /no such option|invalid value for '--output-format'|invalid choice/i;
+
+/**
+ * Extrahiert den Text aus einem Nachrichteninhalt (String oder Liste von Parts)
+ */
+function contentText(content) {
+  if (typeof content === "string") {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return "";
+  }
+  return content
+    .filter(part => part && part.type === "text" && typeof part.text === "string")
+    .map(part => part.text)
+    .join("");
+}
+
+/**
+ * Parst die Argumente eines Tool-Calls (JSON-String) wenn moeglich
+ */
+function parseToolArguments(args) {
+  if (typeof args !== "string") {
+    return args === undefined ? null : args;
+  }
+  try {
+    return JSON.parse(args);
+  } catch {
+    return args;
+  }
+}
+
+/**
+ * Sammelt die stream-json Ausgabe der Kimi CLI (eine JSON-Nachricht pro Zeile)
+ *
+ * Assistant-Nachrichten werden zu Schritten ({ text, tool_calls }), Tool-
+ * Nachrichten werden als `result` an ihren Tool-Call gehaengt. Text und
+ * Tool-Aktivitaet werden waehrenddessen als Events weitergereicht.
+ *
+ * @param {Function|null} onEvent - Event callback (event, data)
+ * @returns {Object} { handleLine(line), result() -> { messages, output, steps } }
+ */
+function createKimiMessageCollector(onEvent) {
+  const emit = typeof onEvent === "function" ? onEvent : () => {};
+  const steps = [];
+  const callsById = new Map();
+  let messages = 0;
+  let emittedText = false;
+
+  function handleAssistant(message) {
+    const text = contentText(message.content);
+    const toolCalls = (Array.isArray(message.tool_calls) ? message.tool_calls : []).map((call) => {
+      const fn = call.function || {};
+      const toolCall = { id: call.id || null, name: fn.name || call.name || null, arguments: parseToolArguments(fn.arguments) };
+      if (toolCall.id) {
+        callsById.set(toolCall.id, toolCall);
+      }
+      return toolCall;
+    });
+
+    steps.push({ text, tool_calls: toolCalls });
+    if (text) {
+      emit("delta", { text: emittedText ? `\n${text}` : text });
+      emittedText = true;
+    }
+    for (const toolCall of toolCalls) {
+      emit("tool_call", { ...toolCall });
+    }
+  }
+
+  function handleTool(message) {
+    const output = contentText(message.content);
+    const toolCall = callsById.get(message.tool_call_id);
+    if (toolCall) {
+      toolCall.result = output;
+    } else {
+      // Ergebnis ohne bekannten Call: als eigener Schritt festhalten
+      steps.push({ text: "", tool_calls: [{ id: message.tool_call_id || null, name: null, arguments: null, result: output }] });
+    }
+    emit("tool_result", { id: message.tool_call_id || null, output });
+  }
+
+  return {
+    handleLine(line) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith("{")) {
+        return;
+      }
+      let message;
+      try {
+        message = JSON.parse(trimmed);
+      } catch {
+        return;
+      }
+      if (message.role === "assistant") {
+        messages++;
+        handleAssistant(message);
+      } else if (message.role === "tool") {
+        messages++;
+        handleTool(message);
+      }
+    },
+    result() {
+      const output = steps.map(step => step.text).filter(Boolean).join("\n");
+      return { messages, output, steps };
+    }
+  };
+}
+
+/**
+ * Alter Text-Pfad: extrahiert Text aus `TextPart(...)`-Reprs oder filtert
+ * Metadaten-Zeilen heraus (nur noch Fallback)
+ */
+function parseKimiText(stdout) {
+  let outputText = stdout.trim();
+
+  // Extrahiere Text aus TextPart - kann mehrzeilig sein
+  // Format: TextPart(type='text', text='...')
+  const textParts = [];
+  const textPartRegex = /TextPart\(\s*type='text',\s*text='([\s\S]*?)'\s*\)/g;
+  let match;
+  while ((match = textPartRegex.exec(outputText)) !== null) {
+    textParts.push(match[1]);
+  }
+
+  if (textParts.length > 0) {
+    outputText = textParts.join("\n");
+  } else {
+    // Fallback: Entferne Metadata-Zeilen
+    outputText = outputText
+      .split("\n")
+      .filter(line => {
+        const trimmed = line.trim();
+        return (
+          !trimmed.startsWith("StepBegin(") &&
+          !trimmed.startsWith("StatusUpdate(") &&
+          !trimmed.startsWith("ToolCall(") &&
+          !trimmed.startsWith("ToolResult(") &&
+          !trimmed.startsWith("TextPart(") &&
+          !trimmed.match(/^type='text'/) &&
+          !trimmed.match(/^text='/) &&
+          !trimmed.match(/^\)$/) &&
+          !trimmed.match(/^[A-Z][a-zA-Z]+\(/)
+        );
+      })
+      .join("\n");
+  }
+
+  return outputText.trim();
+}
+
 /**
- * Ruft Kimi CLI im Print-Modus auf
+ * Fuehrt Kimi CLI einmal im Print-Modus aus
+ *
+ * Standard ist `--output-format stream-json`; nur wenn die CLI das Format
+ * ablehnt oder keine JSON-Nachricht liefert, wird der Text-Pfad genutzt.
  */
-function callKimiCLI(prompt, model, yolo) {
+function execKimiCLI(prompt, model, yolo, options = {}, format = "stream-json") {
   return new Promise((resolve) => {
     const kimiPath = findKimiCLI();
 
@@ -116,10 +288,10 @@ function callKimiCLI(prompt, model, yolo) {
 
     // Argumente fuer Kimi CLI
     const args = [
-      "-w", "/tmp",  // Work-Dir um Home-Dir Probleme zu vermeiden
+      "-w", options.workdir,
       "-c", prompt,
       "--print",
-      "--output-format", "text"
+      "--output-format", format
     ];
 
     // Model angeben falls nicht default
@@ -134,6 +306,9 @@ function callKimiCLI(prompt, model, yolo) {
 
     let stdout = "";
     let stderr = "";
+    const structured = format === "stream-json";
+    const collector = createKimiMessageCollector(options.onEvent);
+    const lines = createLineParser(collector.handleLine);
 
     const child = spawn(kimiPath, args, {
       timeout: 120000,  // 2 Minuten Timeout
@@ -142,52 +317,39 @@ function callKimiCLI(prompt, model, yolo) {
 
     child.stdout.on("data", (data) => {
       stdout += data.toString();
+      if (structured) {
+        lines.push(data);
+      }
     });
 
     child.stderr.on("data", (data) => {
       stderr += data.toString();
     });
 
+    forwardChildOutput(child, options.onEvent, { stdout: !structured });
+
     child.on("close", (code) => {
-      // Parse Output - Kimi CLI gibt strukturierten Output
-      // Format: "TextPart(type='text', text='...')" oder plain text
-
-      let outputText = stdout.trim();
-
-      // Extrahiere Text aus TextPart - kann mehrzeilig sein
-      // Format: TextPart(type='text', text='...')
-      const textParts = [];
-      const textPartRegex = /TextPart\(\s*type='text',\s*text='([\s\S]*?)'\s*\)/g;
-      let match;
-      while ((match = textPartRegex.exec(outputText)) !== null) {
-        textParts.push(match[1]);
+      // Aeltere CLI ohne stream-json: einmal mit Text-Ausgabe wiederholen
+      if (structured && code !== 0 && UNSUPPORTED_FORMAT_PATTERN.test(stderr)) {
+        resolve(execKimiCLI(prompt, model, yolo, options, "text"));
+        return;
       }
 
-      if (textParts.length > 0) {
-        outputText = textParts.join("\n");
+      let outputText;
+      let steps;
+      if (structured) {
+        lines.end();
+        const parsed = collector.result();
+        if (parsed.messages > 0) {
+          outputText = parsed.output.trim();
+          steps = parsed.steps;
+        } else {
+          outputText = parseKimiText(stdout);
+        }
       } else {
-        // Fallback: Entferne Metadata-Zeilen
-        outputText = outputText
-          .split("\n")
-          .filter(line => {
-            const trimmed = line.trim();
-            return (
-              !trimmed.startsWith("StepBegin(") &&
-              !trimmed.startsWith("StatusUpdate(") &&
-              !trimmed.startsWith("ToolCall(") &&
-              !trimmed.startsWith("ToolResult(") &&
-              !trimmed.startsWith("TextPart(") &&
-              !trimmed.match(/^type='text'/) &&
-              !trimmed.match(/^text='/) &&
-              !trimmed.match(/^\)$/) &&
-              !trimmed.match(/^[A-Z][a-zA-Z]+\(/)
-            );
-          })
-          .join("\n");
+        outputText = parseKimiText(stdout);
       }
 
-      outputText = outputText.trim();
-
       if (code !== 0 && !outputText) {
         // Pruefe auf spezifische Fehler
         const combinedOutput = stdout + stderr;
@@ -227,11 +389,15 @@ function callKimiCLI(prompt, model, yolo) {
         return;
       }
 
-      resolve({
+      const result = {
         ok: true,
         output: outputText || "(Leere Antwort)",
         model: model || DEFAULT_MODEL
-      });
+      };
+      if (steps) {
+        result.steps = steps;
+      }
+      resolve(result);
     });
 
     child.on("error", (error) => {
@@ -244,6 +410,24 @@ function callKimiCLI(prompt, model, yolo) {
   });
 }
 
+/**
+ * Ruft Kimi CLI im Print-Modus auf (mit Session-Verlauf etc.)
+ *
+ * options.workdir wird gegen die Allowlist geprueft; ohne Angabe gilt der
+ * Projekt-Root des Aufrufers.
+ */
+function callKimiCLI(prompt, model, yolo, options = {}) {
+  const workdir = resolveWorkdir(options.workdir);
+  if (!workdir.ok) {
+    return Promise.resolve({ ok: false, type: "invalid_request", message: workdir.message });
+  }
+  const runOptions = { ...options, workdir: workdir.path };
+  // With --yolo Kimi may edit files, so such runs are never cached
+  return runRequest({ provider: "kimi", model, prompt, settings: { yolo, workdir: workdir.path }, options: runOptions, cacheable: !yolo }, (execPrompt) =>
+    execKimiCLI(execPrompt, model, yolo, runOptions)
+  );
+}
+
 async function main() {
   const inputChunks = [];
   for await (const chunk of process.stdin) {
@@ -292,7 +476,7 @@ async function main() {
 
   const prompt = payload.prompt;
   const model = payload.model || DEFAULT_MODEL;
-  const yolo = payload.yolo !== false;  // Default: true
+  const yolo = payload.yolo === true;  // Default: read-only
 
   if (!prompt || typeof prompt !== "string") {
     const response = {
@@ -305,7 +489,21 @@ async function main() {
     process.exit(1);
   }
 
-  const result = await callKimiCLI(prompt, model, yolo);
+  const events = payload.stream === true ? createEventStream("kimi", { model }) : null;
+  const result = await callKimiCLI(prompt, model, yolo, {
+    onEvent: events && events.emit,
+    sessionId: payload.session_id,
+    cache: payload.cache,
+    system: payload.system,
+    workdir: payload.workdir,
+    injectContext: payload.inject_context,
+    taskType: payload.task_type,
+    context: payload.context,
+    contextStrategy: payload.context_strategy,
+    include: payload.include,
+    exclude: payload.exclude,
+    contextBudget: payload.context_budget
+  });
 
   if (!result.ok) {
     const response = {
@@ -314,7 +512,13 @@ async function main() {
       error_type: result.type,
       message: result.message
     };
-    process.stdout.write(JSON.stringify(response, null, 2));
+    if (result.session_id) {
+      response.session_id = result.session_id;
+    }
+    if (result.context_injection) {
+      response.context_injection = result.context_injection;
+    }
+    writeResponse(response, events);
     process.exit(1);
   }
 
@@ -324,11 +528,29 @@ async function main() {
     output: result.output,
     model: result.model
   };
+  if (result.session_id) {
+    response.session_id = result.session_id;
+  }
+  if (result.steps) {
+    response.steps = result.steps;
+  }
+  if (result.cached) {
+    response.cached = true;
+  }
+  for (const key of ["context_injection", "trimmed"]) {
+    if (result[key]) {
+      response[key] = result[key];
+    }
+  }
 
-  process.stdout.write(JSON.stringify(response, null, 2));
+  writeResponse(response, events);
 }
 
-main().catch((err) => {
-  console.error("Unexpected error in kimi-cli:", err);
-  process.exit(1);
-});
+module.exports = { callKimiCLI, findKimiCLI, isKimiConfigured, createKimiMessageCollector, parseKimiText, DEFAULT_MODEL };
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("Unexpected error in kimi-cli:", err);
+    process.exit(1);
+  });
+}
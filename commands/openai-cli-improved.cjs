@@ -3,6 +3,9 @@
 const { execFile } = require("node:child_process");
 const fs = require("fs");
 const path = require("path");
+const { createEventStream, forwardChildOutput, writeResponse, createLineParser } = require("../lib/stream.js");
+const { runRequest } = require("../lib/request-pipeline.js");
+const { runWithChangeCapture } = require("../lib/change-capture.js");
 
 // Circuit Breaker State File
 const STATE_FILE = path.join(process.env.HOME || "/tmp", ".claude-openai-cli-state.json");
@@ -112,7 +115,114 @@ function isServerError(stderr) {
   );
 }
 
-function runCodex(prompt, model, sandbox, approvalPolicy) {
+// Keep command output in the structured result short
+const MAX_COMMAND_OUTPUT = 4000;
+
+/**
+ * Collects the JSONL events of `codex exec --json`
+ *
+ * Completed items are sorted into the final agent message, reasoning
+ * summaries, executed commands (with exit codes) and changed files; the
+ * turn's token usage is kept for the usage ledger. Items are forwarded as
+ * events while Codex works.
+ *
+ * @param {Function|null} onEvent - Event callback (event, data)
+ * @returns {Object} { handleLine(line), result() }
+ */
+function createCodexEventCollector(onEvent) {
+  const emit = typeof onEvent === "function" ? onEvent : () => {};
+  const messages = [];
+  const reasoning = [];
+  const commands = [];
+  const filesChanged = [];
+  const errors = [];
+  let events = 0;
+  let usage;
+
+  function handleItem(item) {
+    switch (item.type) {
+      case "agent_message":
+        if (item.text) {
+          emit("delta", { text: messages.length ? `\n${item.text}` : item.text });
+          messages.push(item.text);
+        }
+        break;
+      case "reasoning":
+        if (item.text) {
+          reasoning.push(item.text);
+          emit("reasoning", { text: item.text });
+        }
+        break;
+      case "command_execution": {
+        const output = item.aggregated_output || "";
+        const command = {
+          command: item.command,
+          exit_code: Number.isInteger(item.exit_code) ? item.exit_code : null,
+          status: item.status || null,
+          output: output.length > MAX_COMMAND_OUTPUT ? `${output.slice(0, MAX_COMMAND_OUTPUT)}\n[... truncated]` : output
+        };
+        commands.push(command);
+        emit("command", { command: command.command, exit_code: command.exit_code, status: command.status });
+        break;
+      }
+      case "file_change":
+        for (const change of item.changes || []) {
+          filesChanged.push({ path: change.path, kind: change.kind || null });
+          emit("file_change", { path: change.path, kind: change.kind || null });
+        }
+        break;
+      case "error":
+        if (item.message) {
+          errors.push(item.message);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  return {
+    handleLine(line) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith("{")) {
+        return;
+      }
+      let event;
+      try {
+        event = JSON.parse(trimmed);
+      } catch {
+        return;
+      }
+      if (typeof event.type !== "string") {
+        return;
+      }
+      events++;
+      if (event.type === "item.completed" && event.item) {
+        handleItem(event.item);
+      } else if (event.type === "turn.completed" && event.usage) {
+        usage = { input_tokens: event.usage.input_tokens, output_tokens: event.usage.output_tokens };
+      } else if (event.type === "turn.failed") {
+        errors.push((event.error && event.error.message) || "turn failed");
+      } else if (event.type === "error" && event.message) {
+        errors.push(event.message);
+      }
+    },
+    result() {
+      return {
+        events,
+        // The last agent message is Codex's answer; earlier ones are progress notes
+        output: messages.length ? messages[messages.length - 1] : "",
+        reasoning,
+        commands,
+        files_changed: filesChanged,
+        usage,
+        errors
+      };
+    }
+  };
+}
+
+function execCodex(prompt, model, sandbox, approvalPolicy, options = {}) {
   // Check circuit breaker BEFORE making request
   const circuitState = isCircuitBreakerOpen();
   if (circuitState.open) {
@@ -136,14 +246,25 @@ function runCodex(prompt, model, sandbox, approvalPolicy) {
     if (model) {
       args.push("-m", model);
     }
-    args.push("exec", prompt);
+    args.push("exec");
+    if (options.json) {
+      args.push("--json");
+    }
+    args.push(prompt);
+
+    const collector = createCodexEventCollector(options.onEvent);
+    const lines = createLineParser(collector.handleLine);
 
     const child = execFile("codex", args, {
-      maxBuffer: 1024 * 1024,
+      maxBuffer: options.json ? 16 * 1024 * 1024 : 1024 * 1024,
       timeout: 300000  // 5 minutes timeout
     }, (error, stdout, stderr) => {
+      lines.end();
+      const parsed = collector.result();
+
       if (error) {
-        const stderrText = stderr.toString();
+        // In JSON mode the failure reason is reported as an event
+        const stderrText = [stderr.toString(), ...parsed.errors].join("\n");
 
         // Rate limit - record failure
         if (isRateLimitError(stderrText)) {
@@ -206,10 +327,24 @@ function runCodex(prompt, model, sandbox, approvalPolicy) {
       } else {
         // Success! Reset circuit breaker
         recordSuccess();
-        resolve({
+        if (!options.json || parsed.events === 0) {
+          resolve({
+            ok: true,
+            output: stdout.toString().trim()
+          });
+          return;
+        }
+        const result = {
           ok: true,
-          output: stdout.toString().trim()
-        });
+          output: parsed.output,
+          reasoning: parsed.reasoning,
+          commands: parsed.commands,
+          files_changed: parsed.files_changed
+        };
+        if (parsed.usage) {
+          result.usage = parsed.usage;
+        }
+        resolve(result);
       }
     });
 
@@ -223,6 +358,37 @@ function runCodex(prompt, model, sandbox, approvalPolicy) {
         });
       }
     });
+
+    if (options.json) {
+      child.stdout.on("data", (chunk) => lines.push(chunk));
+    }
+    forwardChildOutput(child, options.onEvent, { stdout: !options.json });
+  });
+}
+
+/**
+ * Runs Codex through the request pipeline
+ *
+ * With options.json Codex runs as `exec --json` and the result additionally
+ * carries `reasoning`, `commands` ({ command, exit_code, status, output }),
+ * `files_changed` ({ path, kind }) and the turn's token `usage`.
+ *
+ * In the write-capable sandboxes the working directory is snapshotted first
+ * and the result carries `changes` (see lib/change-capture.js); with
+ * options.revertOnFailure a failed run's edits are rolled back. Neither
+ * write-capable nor `json` runs use the response cache: a replay would skip
+ * the edits, and the cache only keeps `output`.
+ */
+function runCodex(prompt, model, sandbox, approvalPolicy, options = {}) {
+  const json = options.json === true;
+  const runOptions = { ...options, json };
+  const writes = sandbox === "workspace-write" || sandbox === "danger-full-access";
+  const request = { provider: "codex", model, prompt, settings: { sandbox, approvalPolicy, json: json || undefined }, options: runOptions, cacheable: !writes && !json };
+  return runRequest(request, (execPrompt) => {
+    const run = () => execCodex(execPrompt, model, sandbox, approvalPolicy, runOptions);
+    return writes
+      ? runWithChangeCapture(process.cwd(), { revertOnFailure: options.revertOnFailure === true }, run)
+      : run();
   });
 }
 
@@ -258,7 +424,22 @@ async function main() {
     process.exit(1);
   }
 
-  const result = await runCodex(prompt, model, sandbox, approvalPolicy);
+  const events = payload.stream === true ? createEventStream("codex", { model: model || null }) : null;
+  const result = await runCodex(prompt, model, sandbox, approvalPolicy, {
+    onEvent: events && events.emit,
+    sessionId: payload.session_id,
+    cache: payload.cache,
+    system: payload.system,
+    json: payload.json,
+    revertOnFailure: payload.revert_on_failure,
+    injectContext: payload.inject_context,
+    taskType: payload.task_type,
+    context: payload.context,
+    contextStrategy: payload.context_strategy,
+    include: payload.include,
+    exclude: payload.exclude,
+    contextBudget: payload.context_budget
+  });
 
   if (!result.ok) {
     const response = {
@@ -268,7 +449,15 @@ async function main() {
       retryable: result.retryable || false,
       message: result.message
     };
-    process.stdout.write(JSON.stringify(response, null, 2));
+    for (const key of ["changes", "context_injection", "trimmed"]) {
+      if (result[key]) {
+        response[key] = result[key];
+      }
+    }
+    if (result.session_id) {
+      response.session_id = result.session_id;
+    }
+    writeResponse(response, events);
     process.exit(1);
   }
 
@@ -277,11 +466,26 @@ async function main() {
     success: true,
     output: result.output
   };
+  for (const key of ["reasoning", "commands", "files_changed", "usage", "changes", "context_injection", "trimmed"]) {
+    if (result[key] !== undefined) {
+      response[key] = result[key];
+    }
+  }
+  if (result.session_id) {
+    response.session_id = result.session_id;
+  }
+  if (result.cached) {
+    response.cached = true;
+  }
 
-  process.stdout.write(JSON.stringify(response, null, 2));
+  writeResponse(response, events);
 }
 
-main().catch((err) => {
-  console.error("Unexpected error in openai-cli command:", err);
-  process.exit(1);
-});
+module.exports = { runCodex, isCircuitBreakerOpen, createCodexEventCollector };
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("Unexpected error in openai-cli command:", err);
+    process.exit(1);
+  });
+}
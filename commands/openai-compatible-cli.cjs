@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * openai-compatible-cli.cjs - Generic OpenAI-compatible provider
+ *
+ * Sends a prompt to any endpoint that speaks the OpenAI chat-completions API
+ * (DashScope, Moonshot, OpenAI, local llama.cpp / vLLM servers). Endpoints
+ * are presets or entries under `openai_endpoints` in
+ * ~/.claude/multi_provider_config.json (base URL, key source, model list;
+ * see lib/openai-compatible.js).
+ *
+ * Usage: /openai-compatible-cli {"endpoint": "local", "prompt": "...", "model": "qwen2.5-coder"}
+ *
+ * Accepts system, temperature, top_p, max_tokens and stop_sequences plus
+ * stream, session_id, cache and the context injector fields (inject_context,
+ * task_type, context, context_strategy, include, exclude, context_budget).
+ * `{"action": "list-endpoints"}` lists the known endpoints.
+ */
+
+const { createEventStream, writeResponse } = require("../lib/stream.js");
+const {
+  listEndpoints,
+  resolveEndpoint,
+  getEndpointApiKey,
+  pickChatParams,
+  runChat
+} = require("../lib/openai-compatible.js");
+
+function writeError(errorType, message) {
+  const response = {
+    provider: "openai-compatible",
+    success: false,
+    error_type: errorType,
+    retryable: false,
+    message
+  };
+  process.stdout.write(JSON.stringify(response, null, 2));
+  process.exit(1);
+}
+
+async function main() {
+  const inputChunks = [];
+  const MAX_INPUT_SIZE = 10 * 1024 * 1024; // 10MB limit
+  let totalSize = 0;
+
+  for await (const chunk of process.stdin) {
+    totalSize += chunk.length;
+    if (totalSize > MAX_INPUT_SIZE) {
+      console.error("Input too large (>10MB)");
+      process.exit(1);
+    }
+    inputChunks.push(chunk);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.concat(inputChunks).toString("utf8") || "{}");
+  } catch (err) {
+    console.error("Failed to parse JSON input:", err.message);
+    process.exit(1);
+  }
+
+  if (payload.action === "list-endpoints") {
+    const endpoints = listEndpoints().map((name) => {
+      const endpoint = resolveEndpoint(name);
+      if (!endpoint) {
+        return { name, error: "Missing base_url" };
+      }
+      return endpoint.invalid_url
+        ? { name, error: endpoint.invalid_url }
+        : { name, label: endpoint.label, url: endpoint.url.href, default_model: endpoint.default_model, models: endpoint.models };
+    });
+    process.stdout.write(JSON.stringify({ success: true, endpoints }, null, 2));
+    return;
+  }
+
+  const { prompt, model, stream, session_id, cache, inject_context, task_type, context, context_strategy, include, exclude, context_budget } = payload;
+
+  const endpoint = resolveEndpoint(payload.endpoint);
+  if (!endpoint) {
+    writeError("invalid_request", `Unknown or incomplete \`endpoint\` '${payload.endpoint}'. Available: ${listEndpoints().join(", ")}`);
+  }
+  if (!prompt || typeof prompt !== "string") {
+    writeError("invalid_request", "Missing required field `prompt` (string).");
+  }
+
+  const sentModel = model || endpoint.default_model;
+  const events = stream === true
+    ? createEventStream(endpoint.provider, { endpoint: endpoint.name, model: sentModel })
+    : null;
+  const result = await runChat(endpoint, prompt, model, getEndpointApiKey(endpoint), {
+    onEvent: events && events.emit,
+    sessionId: session_id,
+    cache,
+    system: payload.system,
+    injectContext: inject_context,
+    taskType: task_type,
+    context,
+    contextStrategy: context_strategy,
+    include,
+    exclude,
+    contextBudget: context_budget
+  }, pickChatParams(payload));
+
+  const response = result.ok
+    ? {
+      provider: endpoint.provider,
+      endpoint: endpoint.name,
+      model: result.model || sentModel,
+      success: true,
+      output: result.output
+    }
+    : {
+      provider: endpoint.provider,
+      endpoint: endpoint.name,
+      success: false,
+      error_type: result.type,
+      retryable: result.type === "timeout" || result.type === "server_error",
+      message: result.message
+    };
+  for (const key of ["stop_reason", "usage", "session_id", "cached", "context_injection", "trimmed"]) {
+    if (result[key] !== undefined) {
+      response[key] = result[key];
+    }
+  }
+
+  writeResponse(response, events);
+  if (!result.ok) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("Unexpected error in openai-compatible-cli command:", err);
+    process.exit(1);
+  });
+}
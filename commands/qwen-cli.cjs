@@ -1,6 +1,8 @@
 #!/usr/bin/env node
 
 const { execFile } = require("node:child_process");
+const { createEventStream, forwardChildOutput } = require("../lib/stream.js");
+const { runRequest } = require("../lib/request-pipeline.js");
 
 function isRateLimitError(stderr) {
   const msg = stderr.toLowerCase();
@@ -25,7 +27,7 @@ function isAuthError(stderr) {
   );
 }
 
-function runQwen(prompt, model, yolo, approvalMode) {
+function execQwen(prompt, model, yolo, approvalMode, options = {}) {
   return new Promise((resolve) => {
     const args = [];
 
@@ -87,9 +89,22 @@ function runQwen(prompt, model, yolo, approvalMode) {
         });
       }
     });
+
+    forwardChildOutput(child, options.onEvent);
   });
 }
 
+function runQwen(prompt, model, yolo, approvalMode, options = {}) {
+  // Write-capable runs (yolo / auto_edit) are never cached: a replay would
+  // not apply the edits
+  const writes = approvalMode && typeof approvalMode === "string"
+    ? approvalMode === "yolo" || approvalMode === "auto_edit"
+    : yolo === true;
+  return runRequest({ provider: "qwen", model, prompt, settings: { yolo, approvalMode }, options, cacheable: !writes }, (execPrompt) =>
+    execQwen(execPrompt, model, yolo, approvalMode, options)
+  );
+}
+
 async function main() {
   // Read JSON from stdin
   let inputData = "";
@@ -113,7 +128,7 @@ async function main() {
     process.exit(0);
   }
 
-  const { prompt, model, yolo, approval_mode } = params;
+  const { prompt, model, yolo, approval_mode, stream, session_id, cache, system, inject_context, task_type, context, context_strategy, include, exclude, context_budget } = params;
 
   if (!prompt) {
     console.log(
@@ -127,26 +142,54 @@ async function main() {
     process.exit(0);
   }
 
-  const result = await runQwen(prompt, model, yolo, approval_mode);
+  const events = stream === true ? createEventStream("qwen", { model: model || null }) : null;
+  const result = await runQwen(prompt, model, yolo, approval_mode, {
+    onEvent: events && events.emit,
+    sessionId: session_id,
+    cache,
+    system,
+    injectContext: inject_context,
+    taskType: task_type,
+    context,
+    contextStrategy: context_strategy,
+    include,
+    exclude,
+    contextBudget: context_budget
+  });
 
-  if (result.ok) {
-    console.log(
-      JSON.stringify({
-        provider: "qwen",
-        success: true,
-        output: result.output
-      })
-    );
+  const response = result.ok
+    ? {
+      provider: "qwen",
+      success: true,
+      output: result.output
+    }
+    : {
+      provider: "qwen",
+      success: false,
+      error_type: result.type,
+      message: result.message
+    };
+  if (result.session_id) {
+    response.session_id = result.session_id;
+  }
+  if (result.cached) {
+    response.cached = true;
+  }
+  for (const key of ["context_injection", "trimmed"]) {
+    if (result[key]) {
+      response[key] = result[key];
+    }
+  }
+
+  if (events) {
+    events.end(response);
   } else {
-    console.log(
-      JSON.stringify({
-        provider: "qwen",
-        success: false,
-        error_type: result.type,
-        message: result.message
-      })
-    );
+    console.log(JSON.stringify(response));
   }
 }
 
-main();
+module.exports = { runQwen };
+
+if (require.main === module) {
+  main();
+}
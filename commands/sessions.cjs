@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * sessions.cjs - Chat session management
+ *
+ * Every provider command (and /ask) accepts a `session_id`. The conversation
+ * is stored in ~/.claude/multi_provider_sessions/<session_id>.json and
+ * replayed on the next call with the same id. A new id starts a new session.
+ *
+ * Actions:
+ *   list   - All sessions with turn count and providers used (default)
+ *   show   - Full history of one session      {"action": "show", "session_id": "..."}
+ *   fork   - Copy a session, optionally only the first N turns
+ *            {"action": "fork", "session_id": "...", "new_session_id": "...", "turns": 2}
+ *   delete - Remove a session                  {"action": "delete", "session_id": "..."}
+ */
+
+const {
+  isValidSessionId,
+  loadSession,
+  listSessions,
+  forkSession,
+  deleteSession
+} = require("../lib/sessions.js");
+
+async function readStdinJson() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  if (!chunks.length) return {};
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    return {};
+  }
+}
+
+function requireSessionId(payload) {
+  if (!payload.session_id) {
+    return {
+      success: false,
+      error: "missing_session_id",
+      message: "Field `session_id` is required for this action"
+    };
+  }
+  if (!isValidSessionId(payload.session_id)) {
+    return {
+      success: false,
+      error: "invalid_session_id",
+      message: "Invalid `session_id`. Use 1-64 characters: letters, digits, \"_\", \"-\" or \".\"."
+    };
+  }
+  return null;
+}
+
+function notFound(id) {
+  return {
+    success: false,
+    error: "not_found",
+    message: `Session '${id}' not found`
+  };
+}
+
+function handleAction(payload) {
+  const action = payload.action || "list";
+
+  switch (action) {
+    case "list": {
+      const sessions = listSessions();
+      return { success: true, sessions, total: sessions.length };
+    }
+
+    case "show": {
+      const invalid = requireSessionId(payload);
+      if (invalid) return invalid;
+      const session = loadSession(payload.session_id);
+      return session ? { success: true, session } : notFound(payload.session_id);
+    }
+
+    case "fork": {
+      const invalid = requireSessionId(payload);
+      if (invalid) return invalid;
+      if (payload.new_session_id !== undefined) {
+        if (!isValidSessionId(payload.new_session_id)) {
+          return {
+            success: false,
+            error: "invalid_session_id",
+            message: "Invalid `new_session_id`."
+          };
+        }
+        if (loadSession(payload.new_session_id)) {
+          return {
+            success: false,
+            error: "session_exists",
+            message: `Session '${payload.new_session_id}' already exists`
+          };
+        }
+      }
+      if (payload.turns !== undefined && (!Number.isInteger(payload.turns) || payload.turns < 0)) {
+        return {
+          success: false,
+          error: "invalid_turns",
+          message: "Field `turns` must be a non-negative integer"
+        };
+      }
+      const fork = forkSession(payload.session_id, payload.new_session_id, payload.turns);
+      if (!fork) return notFound(payload.session_id);
+      return {
+        success: true,
+        message: `Session '${payload.session_id}' forked to '${fork.id}'`,
+        session_id: fork.id,
+        turns: Math.floor(fork.messages.length / 2)
+      };
+    }
+
+    case "delete": {
+      const invalid = requireSessionId(payload);
+      if (invalid) return invalid;
+      return deleteSession(payload.session_id)
+        ? { success: true, message: `Session '${payload.session_id}' deleted` }
+        : notFound(payload.session_id);
+    }
+
+    default:
+      return {
+        success: false,
+        error: "invalid_action",
+        message: `Unknown action: ${action}`,
+        available_actions: ["list", "show", "fork", "delete"]
+      };
+  }
+}
+
+async function main() {
+  const payload = await readStdinJson();
+  const result = handleAction(payload);
+  console.log(JSON.stringify(result, null, 2));
+  if (!result.success) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.log(JSON.stringify({
+      success: false,
+      error: "unexpected_error",
+      message: err.message
+    }, null, 2));
+    process.exit(1);
+  });
+}
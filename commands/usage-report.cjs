@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * usage-report.cjs - Aggregated usage across all providers
+ *
+ * Reads the usage ledger (~/.claude/multi_provider_usage.jsonl) written by
+ * every provider command and aggregates requests, outcomes, tokens and
+ * duration.
+ *
+ * Fields (all optional):
+ *   days     - look back N days including today (default 30)
+ *   from, to - explicit range as YYYY-MM-DD (inclusive), overrides `days`
+ *   provider - only one provider
+ *   group_by - subset of ["day", "provider", "model"] (default all three)
+ *   format   - "json" (default) or "table"
+ */
+
+const { GROUP_FIELDS, readLedger, aggregateUsage, formatTable } = require("../lib/usage.js");
+const { resolveProvider, listProviders } = require("../lib/providers.js");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+async function readStdinJson() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  if (!chunks.length) return {};
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    return {};
+  }
+}
+
+function invalid(message) {
+  return { success: false, error: "invalid_request", message };
+}
+
+function buildReport(payload) {
+  const groupBy = payload.group_by === undefined ? GROUP_FIELDS : payload.group_by;
+  if (!Array.isArray(groupBy) || !groupBy.every(field => GROUP_FIELDS.includes(field))) {
+    return invalid(`Field \`group_by\` must be a list of: ${GROUP_FIELDS.join(", ")}`);
+  }
+
+  const format = payload.format || "json";
+  if (format !== "json" && format !== "table") {
+    return invalid("Field `format` must be \"json\" or \"table\"");
+  }
+
+  let provider;
+  if (payload.provider !== undefined) {
+    provider = resolveProvider(payload.provider);
+    if (!provider) {
+      return invalid(`Unknown provider '${payload.provider}'. Available: ${listProviders().join(", ")}`);
+    }
+  }
+
+  for (const field of ["from", "to"]) {
+    if (payload[field] !== undefined && !DATE_PATTERN.test(payload[field])) {
+      return invalid(`Field \`${field}\` must be a date (YYYY-MM-DD)`);
+    }
+  }
+
+  const days = payload.days === undefined ? 30 : payload.days;
+  if (!Number.isInteger(days) || days < 1) {
+    return invalid("Field `days` must be a positive integer");
+  }
+  const from = payload.from ||
+    new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const to = payload.to || new Date().toISOString().slice(0, 10);
+
+  const { rows, totals } = aggregateUsage(readLedger({ from, to, provider }), groupBy);
+  return {
+    success: true,
+    format,
+    from,
+    to,
+    provider: provider || null,
+    group_by: groupBy,
+    rows,
+    totals
+  };
+}
+
+async function main() {
+  const payload = await readStdinJson();
+  const report = buildReport(payload);
+
+  if (report.success && report.format === "table") {
+    console.log(`Usage ${report.from} .. ${report.to}${report.provider ? ` (${report.provider})` : ""}\n`);
+    console.log(formatTable(report.rows, report.totals, report.group_by));
+    return;
+  }
+
+  console.log(JSON.stringify(report, null, 2));
+  if (!report.success) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.log(JSON.stringify({
+      success: false,
+      error: "unexpected_error",
+      message: err.message
+    }, null, 2));
+    process.exit(1);
+  });
+}
@@ -0,0 +1,412 @@
+/**
+ * Anthropic-Compatible Provider
+ *
+ * Generic client for any endpoint that speaks the Anthropic Messages API
+ * (`POST /v1/messages`, optionally streamed via server-sent events). The
+ * endpoint definition (protocol, host, port, path, auth header, model
+ * mapping) comes from a built-in preset and/or the `anthropic_endpoints`
+ * section of ~/.claude/multi_provider_config.json:
+ *
+ *   "anthropic_endpoints": {
+ *     "local": {
+ *       "protocol": "http", "host": "127.0.0.1", "port": 8080, "path": "/v1/messages",
+ *       "auth_header": "authorization", "auth_scheme": "Bearer",
+ *       "api_key_env": "LOCAL_GATEWAY_KEY",
+ *       "default_model": "claude-sonnet-4", "models": { "sonnet": "claude-sonnet-4" }
+ *     },
+ *     "zai": { "models": { "air": "claude-3-5-haiku-20241022" } }
+ *   }
+ *
+ * Z.ai is the preset `zai`; entries with a preset name are merged over it.
+ * `url` may replace protocol/host/port/path, and the variable named in
+ * `url_env` overrides the URL at runtime (Z.ai: ZAI_API_URL). A malformed
+ * URL leaves the endpoint resolved but marked with `invalid_url`; requests
+ * against it fail with `invalid_request`.
+ *
+ * Every endpoint has its own circuit breaker state file (lib/circuit-breaker.js).
+ */
+
+const path = require('path');
+const { loadConfig } = require('./config.js');
+const breaker = require('./circuit-breaker.js');
+const { parseUrl, getEndpointApiKey, checkRequest, buildResult, readSseResponse, postJson } = require('./endpoint-client.js');
+const { runRequest } = require('./request-pipeline.js');
+
+const HOME = process.env.HOME || '/tmp';
+
+const ANTHROPIC_PRESETS = {
+  zai: {
+    label: 'Z.ai',
+    provider: 'zai',
+    url: 'https://api.z.ai/api/anthropic/v1/messages',
+    url_env: 'ZAI_API_URL',
+    auth_header: 'x-api-key',
+    api_key_env: 'ZAI_API_KEY',
+    api_key_file: '~/.zai_api_key',
+    default_model: 'claude-3-5-sonnet-20241022', // Maps to GLM-4.7
+    models: {
+      sonnet: 'claude-3-5-sonnet-20241022',
+      haiku: 'claude-3-5-haiku-20241022',
+      opus: 'claude-3-opus-20240229'
+    },
+    state_file: path.join(HOME, '.claude-zai-cli-state.json')
+  }
+};
+
+const DEFAULT_ENDPOINT = {
+  provider: 'anthropic',
+  protocol: 'https',
+  path: '/v1/messages',
+  auth_header: 'x-api-key',
+  auth_scheme: null,
+  anthropic_version: '2023-06-01',
+  default_model: null,
+  models: {},
+  timeout_ms: 120000
+};
+
+const DEFAULT_MAX_TOKENS = 8192;
+
+// Messages API parameters accepted from the payload
+const MESSAGE_PARAMS = ['system', 'temperature', 'top_p', 'max_tokens', 'stop_sequences', 'metadata'];
+
+/**
+ * Lists preset and configured endpoint names
+ *
+ * @returns {string[]} Endpoint names
+ */
+function listEndpoints() {
+  const configured = Object.keys(loadConfig().anthropic_endpoints || {});
+  return [...new Set([...Object.keys(ANTHROPIC_PRESETS), ...configured])];
+}
+
+/**
+ * Resolves an endpoint definition from preset and configuration
+ *
+ * @param {string} name - Endpoint name
+ * @returns {Object|null} Endpoint ({ name, label, provider, url (URL), ... },
+ *                        with `invalid_url` instead of `url` when malformed)
+ *                        or null if unknown
+ */
+function resolveEndpoint(name) {
+  const preset = ANTHROPIC_PRESETS[name];
+  const configured = (loadConfig().anthropic_endpoints || {})[name];
+  if (!preset && !configured) {
+    return null;
+  }
+
+  const endpoint = {
+    ...DEFAULT_ENDPOINT,
+    label: name,
+    state_file: path.join(HOME, `.claude-anthropic-${name}-state.json`),
+    ...preset,
+    ...configured,
+    name,
+    models: { ...(preset && preset.models), ...(configured && configured.models) }
+  };
+
+  // Explicit parts (protocol, host, port, path) override the parts of `url`,
+  // the runtime variable overrides everything
+  const parts = { protocol: DEFAULT_ENDPOINT.protocol, path: DEFAULT_ENDPOINT.path };
+  const baseUrl = (configured && configured.url) || (preset && preset.url);
+  if (baseUrl) {
+    const parsed = parseUrl(baseUrl);
+    if (!parsed) {
+      endpoint.url = null;
+      endpoint.invalid_url = `Endpoint '${name}' has an invalid \`url\`: '${baseUrl}'.`;
+      return endpoint;
+    }
+    Object.assign(parts, {
+      protocol: parsed.protocol.replace(/:$/, ''),
+      host: parsed.hostname,
+      port: parsed.port || undefined,
+      path: parsed.pathname + parsed.search
+    });
+  }
+  for (const key of ['protocol', 'host', 'port', 'path']) {
+    if (configured && configured[key] !== undefined) {
+      parts[key] = configured[key];
+    }
+  }
+
+  let url = parts.host ? `${parts.protocol}://${parts.host}${parts.port ? `:${parts.port}` : ''}${parts.path}` : null;
+  if (endpoint.url_env && process.env[endpoint.url_env]) {
+    url = process.env[endpoint.url_env];
+  }
+  if (!url) {
+    return null;
+  }
+  endpoint.url = parseUrl(url);
+  if (!endpoint.url) {
+    endpoint.invalid_url = `Endpoint '${name}' has an invalid URL '${url}'` +
+      (endpoint.url_env && process.env[endpoint.url_env] ? ` (from $${endpoint.url_env}).` : '.');
+  }
+  return endpoint;
+}
+
+/**
+ * Maps a requested model name through the endpoint's model table
+ *
+ * @param {Object} endpoint - Resolved endpoint
+ * @param {string} model - Requested model (may be undefined)
+ * @returns {string|null} Model sent to the API
+ */
+function mapModel(endpoint, model) {
+  const requested = model || endpoint.default_model;
+  return (requested && endpoint.models[requested]) || requested || null;
+}
+
+/**
+ * Checks the circuit breaker of an endpoint
+ *
+ * @param {Object} endpoint - Resolved endpoint
+ * @returns {Object} { open, remainingMinutes }
+ */
+function isCircuitBreakerOpen(endpoint) {
+  return breaker.isCircuitBreakerOpen(endpoint.state_file);
+}
+
+function recordFailure(endpoint) {
+  breaker.recordFailure(endpoint.state_file);
+}
+
+function recordSuccess(endpoint) {
+  breaker.recordSuccess(endpoint.state_file);
+}
+
+/**
+ * Picks the Messages API parameters from a payload
+ *
+ * @param {Object} payload - Request payload
+ * @returns {Object} Parameters that are set
+ */
+function pickMessageParams(payload) {
+  const params = {};
+  for (const key of MESSAGE_PARAMS) {
+    if (payload[key] !== undefined) {
+      params[key] = payload[key];
+    }
+  }
+  return params;
+}
+
+/**
+ * Validates Messages API parameters
+ *
+ * @param {Object} params - Parameters from pickMessageParams
+ * @returns {string|null} Error message or null if valid
+ */
+function validateMessageParams(params) {
+  const { system, temperature, top_p, max_tokens, stop_sequences, metadata } = params;
+
+  if (system !== undefined) {
+    const validBlocks = Array.isArray(system) &&
+      system.every(block => block && block.type === 'text' && typeof block.text === 'string');
+    if (typeof system !== 'string' && !validBlocks) {
+      return 'Field `system` must be a string or a list of {"type": "text", "text": "..."} blocks.';
+    }
+  }
+  if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 1)) {
+    return 'Field `temperature` must be a number between 0 and 1.';
+  }
+  if (top_p !== undefined && (typeof top_p !== 'number' || top_p < 0 || top_p > 1)) {
+    return 'Field `top_p` must be a number between 0 and 1.';
+  }
+  if (max_tokens !== undefined && (!Number.isInteger(max_tokens) || max_tokens < 1)) {
+    return 'Field `max_tokens` must be a positive integer.';
+  }
+  if (stop_sequences !== undefined) {
+    const valid = Array.isArray(stop_sequences) &&
+      stop_sequences.every(seq => typeof seq === 'string' && seq.length > 0);
+    if (!valid) {
+      return 'Field `stop_sequences` must be a list of non-empty strings.';
+    }
+  }
+  if (metadata !== undefined) {
+    const isObject = metadata !== null && typeof metadata === 'object' && !Array.isArray(metadata);
+    if (!isObject || Object.keys(metadata).some(key => key !== 'user_id') ||
+        (metadata.user_id !== undefined && typeof metadata.user_id !== 'string')) {
+      return 'Field `metadata` must be an object with an optional string `user_id`.';
+    }
+  }
+  return null;
+}
+
+// Map a mid-stream `error` event ({"type": "error", "error": {type, message}})
+// to a run result (with breaker accounting)
+function streamErrorResult(endpoint, error = {}) {
+  const detail = error.message || error.type || 'unknown error';
+  if (error.type === 'authentication_error' || error.type === 'permission_error') {
+    return { ok: false, type: 'auth', message: `${endpoint.label} authentication failed: ${detail}` };
+  }
+  recordFailure(endpoint);
+  if (error.type === 'rate_limit_error') {
+    return { ok: false, type: 'limit', message: `${endpoint.label} rate limit reached: ${detail}` };
+  }
+  if (error.type === 'overloaded_error' || error.type === 'api_error') {
+    return { ok: false, type: 'server_error', message: `${endpoint.label} server error during stream: ${detail}` };
+  }
+  return { ok: false, type: 'error', message: `${endpoint.label} stream error: ${detail}` };
+}
+
+// Read an Anthropic SSE response (message_start, content_block_delta,
+// message_delta, message_stop), forwarding text deltas as they arrive and
+// assembling the final result
+function readEventStream(endpoint, res, onEvent) {
+  let output = '';
+  let model = null;
+  let textBlocks = 0;
+  let stopReason = null;
+  let finished = false;
+  let failure = null;
+  const usage = {};
+
+  const emitText = (text) => {
+    output += text;
+    onEvent('delta', { text });
+  };
+
+  const handleEvent = (name, data) => {
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (err) {
+      return;
+    }
+    switch (event.type || name) {
+      case 'message_start':
+        model = event.message?.model || model;
+        Object.assign(usage, event.message?.usage);
+        break;
+      case 'content_block_start':
+        if (event.content_block?.type === 'text') {
+          if (textBlocks++ > 0) {
+            emitText('\n');
+          }
+          if (event.content_block.text) {
+            emitText(event.content_block.text);
+          }
+        }
+        break;
+      case 'content_block_delta':
+        if (event.delta?.type === 'text_delta' && event.delta.text) {
+          emitText(event.delta.text);
+        }
+        break;
+      case 'message_delta':
+        stopReason = event.delta?.stop_reason || stopReason;
+        Object.assign(usage, event.usage);
+        break;
+      case 'message_stop':
+        finished = true;
+        break;
+      case 'error':
+        failure = failure || streamErrorResult(endpoint, event.error);
+        break;
+      default:
+        break; // ping
+    }
+  };
+
+  return readSseResponse(endpoint, res, handleEvent, () => {
+    if (failure) {
+      return failure;
+    }
+    if (!finished) {
+      recordFailure(endpoint);
+      return {
+        ok: false,
+        type: 'server_error',
+        message: `${endpoint.label} stream ended before message_stop.`
+      };
+    }
+
+    recordSuccess(endpoint);
+    return buildResult(output, model, stopReason, usage);
+  });
+}
+
+/**
+ * Sends a messages array to an Anthropic-compatible endpoint
+ *
+ * With options.onEvent the request is streamed via server-sent events and
+ * every text delta is forwarded as it arrives.
+ *
+ * @param {Object} endpoint - Resolved endpoint
+ * @param {Object[]} messages - [{ role, content }]
+ * @param {string} model - Requested model (mapped through endpoint.models)
+ * @param {string} apiKey - API key
+ * @param {Object} options - Run options ({ onEvent })
+ * @param {Object} params - Validated Messages API parameters
+ * @returns {Promise<Object>} Run result
+ */
+function sendMessages(endpoint, messages, model, apiKey, options = {}, params = {}) {
+  const refused = checkRequest(endpoint, apiKey, true);
+  if (refused) {
+    return Promise.resolve(refused);
+  }
+
+  const streaming = typeof options.onEvent === 'function';
+  const body = {
+    ...params,
+    model: mapModel(endpoint, model),
+    max_tokens: params.max_tokens || DEFAULT_MAX_TOKENS,
+    messages
+  };
+  if (streaming) {
+    body.stream = true;
+  }
+  const headers = { 'anthropic-version': endpoint.anthropic_version };
+  headers[endpoint.auth_header] = endpoint.auth_scheme ? `${endpoint.auth_scheme} ${apiKey}` : apiKey;
+
+  return postJson(endpoint, body, headers, {
+    onStream: streaming ? (res) => readEventStream(endpoint, res, options.onEvent) : null,
+    onBody: (response, data) => {
+      const content = response.content
+        ?.filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('\n') || data;
+
+      recordSuccess(endpoint);
+      return buildResult(content, response.model, response.stop_reason, response.usage);
+    }
+  });
+}
+
+/**
+ * Runs one prompt against an endpoint through the request pipeline
+ *
+ * Session history is sent natively as prior messages.
+ *
+ * @param {Object} endpoint - Resolved endpoint
+ * @param {string} prompt - User prompt
+ * @param {string} model - Requested model
+ * @param {string} apiKey - API key
+ * @param {Object} options - Run options (sessionId, onEvent, cache)
+ * @param {Object} params - Messages API parameters (validated here)
+ * @returns {Promise<Object>} Run result
+ */
+async function runMessages(endpoint, prompt, model, apiKey, options = {}, params = {}) {
+  const invalid = endpoint.invalid_url || validateMessageParams(params);
+  if (invalid) {
+    return { ok: false, type: 'invalid_request', message: invalid };
+  }
+  const settings = { endpoint: endpoint.name, ...params };
+  return runRequest({ provider: endpoint.provider, model, prompt, settings, options, nativeHistory: true, nativeSystem: true }, (execPrompt, context) =>
+    sendMessages(endpoint, [...context.history, { role: 'user', content: execPrompt }], model, apiKey, options, params)
+  );
+}
+
+module.exports = {
+  ANTHROPIC_PRESETS,
+  MESSAGE_PARAMS,
+  listEndpoints,
+  resolveEndpoint,
+  mapModel,
+  getEndpointApiKey,
+  isCircuitBreakerOpen,
+  pickMessageParams,
+  validateMessageParams,
+  sendMessages,
+  runMessages
+};
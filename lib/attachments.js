@@ -0,0 +1,232 @@
+/**
+ * File Attachments
+ *
+ * Inlines local files and directories into a prompt for large-context
+ * analysis. Every path is validated like a working directory (inside the
+ * project root or a `workdir_allowlist` root, see lib/workdir.js); so is
+ * every file found inside a directory, so a symlink cannot pull in files
+ * from elsewhere.
+ * Directories are listed with `git ls-files` inside a git work tree (so
+ * .gitignore is respected), otherwise walked without `.git`,
+ * `node_modules` and what the directory's own .gitignore excludes. Binary
+ * files and files above MAX_FILE_BYTES are skipped; once MAX_TOTAL_BYTES is
+ * reached the remaining files are skipped as well. The Gemini CLI gets the
+ * prompt as one command-line argument, which Linux caps at 128KB, so the
+ * total stays well below that.
+ *
+ * The attached text looks like:
+ *
+ *   # Attached Files
+ *
+ *   ## src/app.js
+ *   ```js
+ *   ...
+ *   ```
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { getProjectRoot, getWorkdirAllowlist, resolveAllowedPath, isAllowedPath } = require('./workdir.js');
+const { estimateTokens } = require('./tokens.js');
+const { loadGitignore } = require('./glob.js');
+
+const MAX_FILE_BYTES = 64 * 1024;
+const MAX_TOTAL_BYTES = 96 * 1024;
+const MAX_FILES = 2000;
+const SKIP_DIRS = new Set(['.git', 'node_modules']);
+
+function validateList(value, field) {
+  if (value === undefined) {
+    return null;
+  }
+  if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string' || entry.trim() === '')) {
+    return `Field \`${field}\` must be an array of non-empty path strings.`;
+  }
+  return null;
+}
+
+function listGitFiles(dir) {
+  try {
+    const output = execFileSync('git', ['ls-files', '-z', '--cached', '--others', '--exclude-standard'], {
+      cwd: dir,
+      encoding: 'utf8',
+      maxBuffer: 64 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'ignore']
+    });
+    return output.split('\0').filter(Boolean).map(file => path.join(dir, file));
+  } catch (err) {
+    return null;
+  }
+}
+
+function walkDirectory(dir) {
+  const ignored = loadGitignore(dir);
+  const files = [];
+  const pending = [dir];
+  while (pending.length > 0) {
+    const current = pending.pop();
+    let entries;
+    try {
+      entries = fs.readdirSync(current, { withFileTypes: true });
+    } catch (err) {
+      continue;
+    }
+    for (const entry of entries) {
+      const full = path.join(current, entry.name);
+      if (ignored(path.relative(dir, full).split(path.sep).join('/'))) {
+        continue;
+      }
+      if (entry.isDirectory() && !SKIP_DIRS.has(entry.name)) {
+        pending.push(full);
+      } else if (entry.isFile()) {
+        files.push(full);
+      }
+    }
+  }
+  return files;
+}
+
+/**
+ * Lists the files of a directory in stable order
+ *
+ * @param {string} dir - Absolute directory path
+ * @returns {string[]} Absolute file paths, sorted
+ */
+function listDirectory(dir) {
+  return (listGitFiles(dir) || walkDirectory(dir)).sort();
+}
+
+// Path shown to the model: relative to the project root where possible
+function displayPath(file) {
+  const relative = path.relative(getProjectRoot(), file);
+  return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? relative : file;
+}
+
+function fence(content) {
+  let marker = '```';
+  while (content.includes(marker)) {
+    marker += '`';
+  }
+  return marker;
+}
+
+function isBinary(content) {
+  return content.subarray(0, 8000).includes(0);
+}
+
+/**
+ * Formats one file as a section with a header and fenced code
+ *
+ * @param {string} shown - Path shown in the header
+ * @param {string} text - File content
+ * @returns {string} "## path" plus a fence long enough for the content
+ */
+function formatFileSection(shown, text) {
+  const marker = fence(text);
+  return `## ${shown}\n${marker}${path.extname(shown).slice(1)}\n${text}${text.endsWith('\n') ? '' : '\n'}${marker}`;
+}
+
+/**
+ * Reads the requested files and directories
+ *
+ * @param {Object} request - { files, directories } (arrays of paths), plus
+ *                           provider / model for the token estimates
+ * @returns {Object} { ok: true, text, summary } or { ok: false, message }.
+ *                   `summary` is { files: [{ path, bytes, tokens }],
+ *                   skipped: [{ path, reason }], tokens, truncated }; `text`
+ *                   is '' when nothing was requested.
+ */
+function collectAttachments(request = {}) {
+  const invalid = validateList(request.files, 'files') || validateList(request.directories, 'directories');
+  if (invalid) {
+    return { ok: false, message: invalid };
+  }
+
+  const candidates = [];
+  for (const file of request.files || []) {
+    const resolved = resolveAllowedPath(file, 'File');
+    if (!resolved.ok) {
+      return resolved;
+    }
+    if (!resolved.stat.isFile()) {
+      return { ok: false, message: `File '${resolved.path}' is not a regular file (use \`directories\` for directories).` };
+    }
+    candidates.push(resolved.path);
+  }
+  for (const dir of request.directories || []) {
+    const resolved = resolveAllowedPath(dir, 'Directory');
+    if (!resolved.ok) {
+      return resolved;
+    }
+    if (!resolved.stat.isDirectory()) {
+      return { ok: false, message: `Directory '${resolved.path}' is not a directory.` };
+    }
+    candidates.push(...listDirectory(resolved.path));
+  }
+
+  const summary = { files: [], skipped: [], tokens: 0, truncated: false };
+  const sections = [];
+  const seen = new Set();
+  const allowlist = getWorkdirAllowlist();
+  let totalBytes = 0;
+
+  for (const file of candidates) {
+    if (seen.has(file)) {
+      continue;
+    }
+    seen.add(file);
+    const shown = displayPath(file);
+    if (!isAllowedPath(file, allowlist)) {
+      summary.skipped.push({ path: shown, reason: 'outside' });
+      continue;
+    }
+
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch (err) {
+      summary.skipped.push({ path: shown, reason: 'unreadable' });
+      continue;
+    }
+    if (stat.size > MAX_FILE_BYTES) {
+      summary.skipped.push({ path: shown, reason: 'too_large' });
+      continue;
+    }
+    if (totalBytes + stat.size > MAX_TOTAL_BYTES || summary.files.length >= MAX_FILES) {
+      summary.skipped.push({ path: shown, reason: 'limit' });
+      summary.truncated = true;
+      continue;
+    }
+
+    let content;
+    try {
+      content = fs.readFileSync(file);
+    } catch (err) {
+      summary.skipped.push({ path: shown, reason: 'unreadable' });
+      continue;
+    }
+    if (isBinary(content)) {
+      summary.skipped.push({ path: shown, reason: 'binary' });
+      continue;
+    }
+
+    const section = formatFileSection(shown, content.toString('utf8'));
+    const tokens = estimateTokens(section, request.provider, request.model);
+    totalBytes += stat.size;
+    sections.push(section);
+    summary.files.push({ path: shown, bytes: stat.size, tokens });
+    summary.tokens += tokens;
+  }
+
+  const text = sections.length > 0 ? `# Attached Files\n\n${sections.join('\n\n')}` : '';
+  return { ok: true, text, summary };
+}
+
+module.exports = {
+  collectAttachments,
+  listDirectory,
+  displayPath,
+  isBinary,
+  formatFileSection
+};
@@ -0,0 +1,162 @@
+/**
+ * Budget Caps
+ *
+ * Hard per-provider caps on requests and tokens per day and per month,
+ * computed from the usage ledger (lib/usage.js). The request pipeline checks
+ * them before exec, so a provider over budget is never called and the
+ * request fails with `error_type: "budget"` (distinct from the provider's
+ * own `limit`).
+ *
+ * Configuration (`budgets` in ~/.claude/multi_provider_config.json):
+ *
+ *   "budgets": {
+ *     "gemini": { "daily": { "requests": 100 }, "monthly": { "tokens": 2000000 } },
+ *     "zai":    { "daily": { "requests": 200, "tokens": 500000 } }
+ *   }
+ *
+ * Periods are calendar days and months in UTC, like the ledger timestamps.
+ * Only requests that reached the provider count: cache hits and local
+ * refusals (open circuit breaker, invalid request, missing CLI) never do.
+ * Token caps use the ledger's real or estimated counts plus the estimated
+ * input of the request being checked.
+ */
+
+const { loadConfig } = require('./config.js');
+const { readLedger } = require('./usage.js');
+
+const BUDGET_PERIODS = ['daily', 'monthly'];
+const BUDGET_METRICS = ['requests', 'tokens'];
+
+// Ledger outcomes of requests the provider actually received
+const PROVIDER_OUTCOMES = new Set(['success', 'auth', 'limit', 'server_error', 'timeout', 'error']);
+
+/**
+ * Returns the configured caps of one provider
+ *
+ * @param {string} provider - Canonical provider name
+ * @returns {Object} { daily: { requests, tokens }, monthly: { ... } } (only configured entries)
+ */
+function getBudget(provider) {
+  const budgets = loadConfig().budgets || {};
+  return budgets[provider] || {};
+}
+
+/**
+ * Start of the current period and of the next one (UTC)
+ *
+ * @param {string} period - "daily" or "monthly"
+ * @param {Date} now - Reference time
+ * @returns {Object} { start, resets } as Date objects
+ */
+function periodBounds(period, now = new Date()) {
+  const y = now.getUTCFullYear();
+  const m = now.getUTCMonth();
+  const d = now.getUTCDate();
+  return period === 'daily'
+    ? { start: new Date(Date.UTC(y, m, d)), resets: new Date(Date.UTC(y, m, d + 1)) }
+    : { start: new Date(Date.UTC(y, m, 1)), resets: new Date(Date.UTC(y, m + 1, 1)) };
+}
+
+/**
+ * Sums the billable usage of one provider per period
+ *
+ * @param {string} provider - Canonical provider name
+ * @param {Date} now - Reference time
+ * @returns {Object} { daily: { requests, tokens }, monthly: { requests, tokens } }
+ */
+function getPeriodUsage(provider, now = new Date()) {
+  const usage = {};
+  const bounds = {};
+  for (const period of BUDGET_PERIODS) {
+    usage[period] = { requests: 0, tokens: 0 };
+    bounds[period] = periodBounds(period, now).start.toISOString();
+  }
+
+  const records = readLedger({ from: bounds.monthly.slice(0, 10), provider });
+  for (const record of records) {
+    if (record.cached || !PROVIDER_OUTCOMES.has(record.outcome)) {
+      continue;
+    }
+    const tokens = (record.input_tokens || 0) + (record.output_tokens || 0);
+    for (const period of BUDGET_PERIODS) {
+      if (record.ts >= bounds[period]) {
+        usage[period].requests++;
+        usage[period].tokens += tokens;
+      }
+    }
+  }
+  return usage;
+}
+
+/**
+ * Checks whether one more request fits into the provider's budget
+ *
+ * @param {string} provider - Canonical provider name
+ * @param {number} inputTokens - Estimated input tokens of the request
+ * @returns {Object|null} Exceeded cap ({ period, metric, limit, used, resets }) or null
+ */
+function checkBudget(provider, inputTokens = 0) {
+  const budget = getBudget(provider);
+  if (!BUDGET_PERIODS.some(period => budget[period])) {
+    return null;
+  }
+
+  const now = new Date();
+  const usage = getPeriodUsage(provider, now);
+  for (const period of BUDGET_PERIODS) {
+    const caps = budget[period] || {};
+    const wanted = { requests: 1, tokens: inputTokens };
+    for (const metric of BUDGET_METRICS) {
+      const limit = caps[metric];
+      if (Number.isFinite(limit) && usage[period][metric] + wanted[metric] > limit) {
+        return {
+          period,
+          metric,
+          limit,
+          used: usage[period][metric],
+          resets: periodBounds(period, now).resets.toISOString()
+        };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the budget status with headroom for each provider
+ *
+ * @param {string[]} providers - Canonical provider names
+ * @returns {Object[]} [{ provider, daily, monthly }]; each period lists
+ *                     { requests: { used, limit, remaining }, tokens: { ... }, resets }
+ */
+function getBudgetStatus(providers) {
+  const now = new Date();
+  return providers.map((provider) => {
+    const budget = getBudget(provider);
+    const usage = getPeriodUsage(provider, now);
+    const status = { provider, limited: BUDGET_PERIODS.some(period => budget[period]) };
+
+    for (const period of BUDGET_PERIODS) {
+      const caps = budget[period] || {};
+      status[period] = { resets: periodBounds(period, now).resets.toISOString() };
+      for (const metric of BUDGET_METRICS) {
+        const limit = Number.isFinite(caps[metric]) ? caps[metric] : null;
+        status[period][metric] = {
+          used: usage[period][metric],
+          limit,
+          remaining: limit === null ? null : Math.max(0, limit - usage[period][metric])
+        };
+      }
+    }
+    return status;
+  });
+}
+
+module.exports = {
+  BUDGET_PERIODS,
+  BUDGET_METRICS,
+  getBudget,
+  getPeriodUsage,
+  checkBudget,
+  getBudgetStatus
+};
@@ -0,0 +1,221 @@
+/**
+ * Response Cache
+ *
+ * Opt-in on-disk cache for successful provider answers. Agent retries often
+ * re-ask the exact same prompt; a cache hit returns the stored answer
+ * without calling the provider, so it costs no quota and is never counted
+ * in gemini_usage.json. Runs that may write files and Codex `json` runs
+ * are never cached (see lib/request-pipeline.js).
+ *
+ * Entries live in ~/.claude/multi_provider_cache/<sha256>.json. The key is
+ * the hash of provider, model, normalized prompt, prior conversation and
+ * the provider settings that shape the answer (sandbox, approval mode, ...).
+ *
+ * Configuration (`cache` in ~/.claude/multi_provider_config.json):
+ *   enabled     - cache every request without an explicit `cache` field (default false)
+ *   ttl_seconds - entry lifetime (default 86400)
+ *   max_bytes   - total size of the cache directory; the oldest entries are
+ *                 evicted first (default 50 MB)
+ *
+ * Per request (`cache` field):
+ *   true      - read and write the cache
+ *   false     - no cache
+ *   "bypass"  - neither read nor write the cache
+ *   "refresh" - ignore a stored entry, call the provider and store the new answer
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadConfig } = require('./config.js');
+
+const CACHE_DIR = path.join(process.env.HOME || '/tmp', '.claude', 'multi_provider_cache');
+
+const DEFAULT_CACHE_CONFIG = {
+  enabled: false,
+  ttl_seconds: 24 * 60 * 60,
+  max_bytes: 50 * 1024 * 1024
+};
+
+const CACHE_MODES = ['bypass', 'refresh'];
+
+/**
+ * Returns the cache configuration merged over the defaults
+ *
+ * @returns {Object} { enabled, ttl_seconds, max_bytes }
+ */
+function getCacheConfig() {
+  return { ...DEFAULT_CACHE_CONFIG, ...(loadConfig().cache || {}) };
+}
+
+/**
+ * Checks the per-request `cache` field
+ *
+ * @param {*} value - Field value
+ * @returns {boolean} True if valid (undefined counts as valid)
+ */
+function isValidCacheOption(value) {
+  return value === undefined || value === null || typeof value === 'boolean' || CACHE_MODES.includes(value);
+}
+
+/**
+ * Resolves the per-request `cache` field against the configuration
+ *
+ * @param {*} value - Field value
+ * @returns {Object} { read, write }
+ */
+function resolveCacheMode(value) {
+  if (value === undefined || value === null) {
+    const enabled = getCacheConfig().enabled === true;
+    return { read: enabled, write: enabled };
+  }
+  if (value === true) {
+    return { read: true, write: true };
+  }
+  if (value === 'refresh') {
+    return { read: false, write: true };
+  }
+  return { read: false, write: false };
+}
+
+/**
+ * Normalizes a prompt so that whitespace-only differences share an entry
+ *
+ * @param {string} prompt - Prompt text
+ * @returns {string} Normalized prompt
+ */
+function normalizePrompt(prompt) {
+  return (prompt || '')
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Serializes a value with sorted object keys
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} Stable JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Computes the cache key of a request
+ *
+ * @param {Object} parts - { provider, model, prompt, history, settings }
+ * @returns {string} Hex SHA-256 key
+ */
+function cacheKey(parts) {
+  const material = stableStringify({
+    provider: parts.provider,
+    model: parts.model || null,
+    prompt: normalizePrompt(parts.prompt),
+    history: (parts.history || []).map(m => ({ role: m.role, content: normalizePrompt(m.content) })),
+    settings: parts.settings || {}
+  });
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+function entryPath(key) {
+  return path.join(CACHE_DIR, `${key}.json`);
+}
+
+/**
+ * Reads a cache entry if it exists and has not expired
+ *
+ * @param {string} key - Cache key
+ * @returns {Object|null} Entry ({ created, provider, model, output }) or null
+ */
+function getEntry(key) {
+  let entry;
+  try {
+    entry = JSON.parse(fs.readFileSync(entryPath(key), 'utf8'));
+  } catch (err) {
+    return null;
+  }
+
+  const ageMs = Date.now() - new Date(entry.created).getTime();
+  if (!(ageMs >= 0 && ageMs < getCacheConfig().ttl_seconds * 1000)) {
+    try {
+      fs.unlinkSync(entryPath(key));
+    } catch (err) {
+      // Already removed by a concurrent run
+    }
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Removes the oldest entries until the cache fits into `max_bytes`
+ */
+function enforceSizeLimit() {
+  const maxBytes = getCacheConfig().max_bytes;
+  const files = fs.readdirSync(CACHE_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map((file) => {
+      try {
+        const stat = fs.statSync(path.join(CACHE_DIR, file));
+        return { file, size: stat.size, mtime: stat.mtimeMs };
+      } catch (err) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.mtime - b.mtime);
+
+  let total = files.reduce((sum, f) => sum + f.size, 0);
+  for (const f of files) {
+    if (total <= maxBytes) {
+      break;
+    }
+    try {
+      fs.unlinkSync(path.join(CACHE_DIR, f.file));
+    } catch (err) {
+      // Ignore, the next run retries
+    }
+    total -= f.size;
+  }
+}
+
+/**
+ * Stores a successful answer
+ *
+ * @param {string} key - Cache key
+ * @param {Object} entry - { provider, model, output }
+ */
+function putEntry(key, entry) {
+  try {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(entryPath(key), JSON.stringify({
+      created: new Date().toISOString(),
+      ...entry
+    }, null, 2));
+    enforceSizeLimit();
+  } catch (err) {
+    console.error(`Warning: Could not write response cache: ${err.message}`);
+  }
+}
+
+module.exports = {
+  CACHE_DIR,
+  CACHE_MODES,
+  getCacheConfig,
+  isValidCacheOption,
+  resolveCacheMode,
+  normalizePrompt,
+  cacheKey,
+  getEntry,
+  putEntry
+};
@@ -0,0 +1,472 @@
+/**
+ * Change Capture
+ *
+ * Snapshots a working tree before an agentic CLI runs in a write-capable mode
+ * and reports what it changed afterwards: a list of created / modified /
+ * deleted files and a unified diff. Optionally the changes are rolled back
+ * when the run failed.
+ *
+ * Two snapshot strategies:
+ *   git   - inside a git work tree the whole tree (tracked and untracked,
+ *           non-ignored files) is written as a tree object through a
+ *           temporary index; the user's index and HEAD are never touched.
+ *           Diffs come from `git diff <before> <after>`.
+ *   files - elsewhere every file below the directory is hashed and small
+ *           files are kept in memory (limits below) so they can be diffed
+ *           and restored. Diffs are computed here.
+ *
+ * Files the plugin itself writes during a run (circuit-breaker state,
+ * Gemini accounts and usage, ledger, sessions, cache, config) are never
+ * reported or reverted, e.g. when a CLI works in the home directory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { CONFIG_FILE } = require('./config.js');
+
+// Limits of the plain file snapshot: larger files are only hashed (in
+// chunks), and at most MAX_KEPT_BYTES of content is held in memory
+const MAX_FILES = 5000;
+const MAX_FILE_BYTES = 1024 * 1024;
+const MAX_KEPT_BYTES = 64 * 1024 * 1024;
+const HASH_CHUNK_BYTES = 64 * 1024;
+const SKIP_DIRS = new Set(['.git', 'node_modules']);
+
+// Cap of the returned diff
+const MAX_DIFF_BYTES = 200 * 1024;
+
+// Larger line products fall back to a whole-file hunk
+const MAX_DIFF_CELLS = 4000000;
+
+function git(cwd, args, env) {
+  return execFileSync('git', args, {
+    cwd,
+    env: env ? { ...process.env, ...env } : process.env,
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+}
+
+function findGitRoot(dir) {
+  try {
+    return git(dir, ['rev-parse', '--show-toplevel']).trim() || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Run a git command against a throwaway index seeded from the real one (so
+// unchanged files are not re-hashed)
+function withTempIndex(root, fn) {
+  const tempIndex = path.join(os.tmpdir(), `multi-provider-index-${process.pid}-${crypto.randomBytes(4).toString('hex')}`);
+  try {
+    const realIndex = path.resolve(root, git(root, ['rev-parse', '--git-path', 'index']).trim());
+    if (fs.existsSync(realIndex)) {
+      fs.copyFileSync(realIndex, tempIndex);
+    }
+    return fn({ GIT_INDEX_FILE: tempIndex });
+  } finally {
+    fs.rmSync(tempIndex, { force: true });
+  }
+}
+
+function writeTree(root) {
+  return withTempIndex(root, (env) => {
+    git(root, ['add', '-A'], env);
+    return git(root, ['write-tree'], env).trim();
+  });
+}
+
+// Plugin state below HOME (see the module comment)
+function isPluginState(file) {
+  if (path.resolve(file) === path.resolve(CONFIG_FILE)) {
+    return true;
+  }
+  const relative = path.relative(process.env.HOME || '/tmp', file);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    return false;
+  }
+  const parts = relative.split(path.sep);
+  if (parts.length === 1) {
+    return /^\.claude-.+-state\.json$/.test(parts[0]);
+  }
+  return parts[0] === '.claude' && /^(multi_provider_|gemini_)/.test(parts[1]);
+}
+
+function hashFile(file) {
+  const hash = crypto.createHash('sha1');
+  const buffer = Buffer.alloc(HASH_CHUNK_BYTES);
+  const fd = fs.openSync(file, 'r');
+  try {
+    let read;
+    while ((read = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      hash.update(buffer.subarray(0, read));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest('hex');
+}
+
+// Content of a file small enough to diff, else null
+function readSmallFile(file, size) {
+  return size <= MAX_FILE_BYTES ? fs.readFileSync(file) : null;
+}
+
+// Hashes every file below root; with keepContent small files are kept
+// (until MAX_KEPT_BYTES) so they can be diffed and restored later
+function walkFiles(root, keepContent) {
+  const files = new Map();
+  let complete = true;
+  let keptBytes = 0;
+  const pending = [''];
+
+  while (pending.length > 0) {
+    const relDir = pending.pop();
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(root, relDir), { withFileTypes: true });
+    } catch (err) {
+      continue;
+    }
+    for (const entry of entries) {
+      const rel = relDir ? `${relDir}/${entry.name}` : entry.name;
+      const full = path.join(root, rel);
+      if (isPluginState(full)) {
+        continue;
+      }
+      if (entry.isDirectory()) {
+        if (!SKIP_DIRS.has(entry.name)) {
+          pending.push(rel);
+        }
+        continue;
+      }
+      if (!entry.isFile()) {
+        continue;
+      }
+      if (files.size >= MAX_FILES) {
+        complete = false;
+        return { files, complete };
+      }
+      try {
+        const size = fs.statSync(full).size;
+        const content = keepContent && keptBytes + size <= MAX_KEPT_BYTES ? readSmallFile(full, size) : null;
+        // Files without kept content are still detected as changed, but
+        // not diffed or restored
+        files.set(rel, {
+          size,
+          hash: content ? crypto.createHash('sha1').update(content).digest('hex') : hashFile(full),
+          content
+        });
+        if (content) {
+          keptBytes += size;
+        }
+      } catch (err) {
+        // Unreadable files are ignored
+      }
+    }
+  }
+  return { files, complete };
+}
+
+/**
+ * Snapshots a directory before a run
+ *
+ * @param {string} dir - Directory the CLI works in
+ * @returns {Object} Snapshot ({ mode: 'git', root, tree } or { mode: 'files', root, files, complete })
+ */
+function takeSnapshot(dir) {
+  const root = findGitRoot(dir);
+  if (root) {
+    try {
+      return { mode: 'git', root, tree: writeTree(root) };
+    } catch (err) {
+      // Fall back to hashing, e.g. when git refuses the repository
+    }
+  }
+  const walked = walkFiles(dir, true);
+  return { mode: 'files', root: dir, files: walked.files, complete: walked.complete };
+}
+
+function isBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+function splitLines(text) {
+  if (text === '') {
+    return [];
+  }
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+// Line operations (' ', '-', '+') turning `a` into `b` via an LCS table
+function diffLines(a, b) {
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [...a.map(line => ['-', line]), ...b.map(line => ['+', line])];
+  }
+  const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push([' ', a[i++]]);
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      ops.push(['-', a[i++]]);
+    } else {
+      ops.push(['+', b[j++]]);
+    }
+  }
+  while (i < a.length) ops.push(['-', a[i++]]);
+  while (j < b.length) ops.push(['+', b[j++]]);
+  return ops;
+}
+
+/**
+ * Builds a unified diff (3 lines of context) for one file
+ *
+ * @param {string} file - Path relative to the snapshot root
+ * @param {Buffer|null} before - Old content (null: file was created)
+ * @param {Buffer|null} after - New content (null: file was deleted)
+ * @returns {string} Diff text
+ */
+function unifiedDiff(file, before, after) {
+  const from = before ? `a/${file}` : '/dev/null';
+  const to = after ? `b/${file}` : '/dev/null';
+  if ((before && isBinary(before)) || (after && isBinary(after))) {
+    return `Binary files ${from} and ${to} differ\n`;
+  }
+
+  const ops = diffLines(splitLines(before ? before.toString('utf8') : ''), splitLines(after ? after.toString('utf8') : ''));
+  const context = 3;
+  const changed = ops.map((op, index) => (op[0] !== ' ' ? index : -1)).filter(index => index >= 0);
+  if (changed.length === 0) {
+    return '';
+  }
+
+  // Group changes whose context windows touch into hunks
+  const hunks = [];
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  const out = [`--- ${from}\n`, `+++ ${to}\n`];
+  for (const hunk of hunks) {
+    const start = Math.max(0, hunk.start - context);
+    const end = Math.min(ops.length - 1, hunk.end + context);
+    let oldStart = 1;
+    let newStart = 1;
+    for (let k = 0; k < start; k++) {
+      if (ops[k][0] !== '+') oldStart++;
+      if (ops[k][0] !== '-') newStart++;
+    }
+    const lines = ops.slice(start, end + 1);
+    const oldCount = lines.filter(op => op[0] !== '+').length;
+    const newCount = lines.filter(op => op[0] !== '-').length;
+    out.push(`@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@\n`);
+    for (const [sign, line] of lines) {
+      out.push(`${sign}${line}\n`);
+    }
+  }
+  return out.join('');
+}
+
+function truncateDiff(diff) {
+  if (Buffer.byteLength(diff) <= MAX_DIFF_BYTES) {
+    return { diff, truncated: false };
+  }
+  return { diff: `${Buffer.from(diff).subarray(0, MAX_DIFF_BYTES).toString('utf8')}\n[... diff truncated]\n`, truncated: true };
+}
+
+const GIT_STATUS = { A: 'created', D: 'deleted' };
+
+function compareGit(snapshot) {
+  const after = writeTree(snapshot.root);
+  if (after === snapshot.tree) {
+    return { after, files: [], diff: '' };
+  }
+  const files = git(snapshot.root, ['diff', '--name-status', '--no-renames', snapshot.tree, after])
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      const [status, ...rest] = line.split('\t');
+      return { path: rest.join('\t'), status: GIT_STATUS[status[0]] || 'modified' };
+    })
+    .filter(file => !isPluginState(path.join(snapshot.root, file.path)));
+  if (files.length === 0) {
+    return { after, files, diff: '' };
+  }
+  const diff = git(snapshot.root, [
+    'diff', '--no-color', '--no-ext-diff', '--no-renames', snapshot.tree, after,
+    '--', ...files.map(file => `:(literal)${file.path}`)
+  ]);
+  return { after, files, diff };
+}
+
+function compareFiles(snapshot) {
+  const now = walkFiles(snapshot.root, false).files;
+  const files = [];
+  const diffs = [];
+  const paths = [...new Set([...snapshot.files.keys(), ...now.keys()])].sort();
+
+  for (const file of paths) {
+    const before = snapshot.files.get(file);
+    const after = now.get(file);
+    if (before && after && before.hash === after.hash) {
+      continue;
+    }
+    const status = !before ? 'created' : !after ? 'deleted' : 'modified';
+    files.push({ path: file, status });
+
+    const oldContent = before ? before.content : null;
+    let newContent = null;
+    try {
+      newContent = after ? readSmallFile(path.join(snapshot.root, file), after.size) : null;
+    } catch (err) {
+      // Vanished since the walk; reported without a diff
+    }
+    if ((before && oldContent === null) || (after && newContent === null)) {
+      diffs.push(`--- a/${file}\n+++ b/${file}\n[file too large to keep in the snapshot, not diffed]\n`);
+    } else {
+      diffs.push(unifiedDiff(file, oldContent, newContent));
+    }
+  }
+  return { files, diff: diffs.join('') };
+}
+
+/**
+ * Compares the current tree with a snapshot
+ *
+ * @param {Object} snapshot - Result of takeSnapshot
+ * @returns {Object} { mode, root, files: [{ path, status }], diff, truncated, complete? }
+ */
+function collectChanges(snapshot) {
+  const compared = snapshot.mode === 'git' ? compareGit(snapshot) : compareFiles(snapshot);
+  const changes = {
+    mode: snapshot.mode,
+    root: snapshot.root,
+    files: compared.files,
+    ...truncateDiff(compared.diff)
+  };
+  if (snapshot.mode === 'files' && !snapshot.complete) {
+    // Files beyond MAX_FILES were not watched
+    changes.complete = false;
+  }
+  return changes;
+}
+
+/**
+ * Restores the snapshot state of the changed files
+ *
+ * @param {Object} snapshot - Result of takeSnapshot
+ * @param {Object[]} files - Changed files from collectChanges
+ * @returns {string[]} Paths that could not be restored
+ */
+function revertChanges(snapshot, files) {
+  const failed = [];
+  const restore = files.filter(file => file.status !== 'created').map(file => file.path);
+
+  for (const file of files.filter(f => f.status === 'created')) {
+    try {
+      fs.rmSync(path.join(snapshot.root, file.path), { force: true });
+    } catch (err) {
+      failed.push(file.path);
+    }
+  }
+
+  if (snapshot.mode === 'git') {
+    if (restore.length > 0) {
+      try {
+        withTempIndex(snapshot.root, (env) => {
+          git(snapshot.root, ['read-tree', snapshot.tree], env);
+          git(snapshot.root, ['checkout-index', '-f', '--', ...restore], env);
+        });
+      } catch (err) {
+        failed.push(...restore);
+      }
+    }
+    return failed;
+  }
+
+  for (const file of restore) {
+    const before = snapshot.files.get(file);
+    if (!before || before.content === null) {
+      failed.push(file);
+      continue;
+    }
+    try {
+      const target = path.join(snapshot.root, file);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, before.content);
+    } catch (err) {
+      failed.push(file);
+    }
+  }
+  return failed;
+}
+
+/**
+ * Runs a provider call with change capture
+ *
+ * The run result gets a `changes` object ({ mode, root, files, diff,
+ * truncated }). With revertOnFailure a failed run's changes are rolled back
+ * and `changes.reverted` is set (plus `changes.not_reverted` for files that
+ * could not be restored).
+ *
+ * @param {string} dir - Directory the CLI works in
+ * @param {Object} settings - { revertOnFailure }
+ * @param {Function} run - () => Promise<result>
+ * @returns {Promise<Object>} Run result with `changes`
+ */
+async function runWithChangeCapture(dir, settings, run) {
+  let snapshot;
+  try {
+    snapshot = takeSnapshot(dir);
+  } catch (err) {
+    return run();
+  }
+
+  const result = await run();
+  let changes;
+  try {
+    changes = collectChanges(snapshot);
+  } catch (err) {
+    return result;
+  }
+
+  if (!result.ok && settings.revertOnFailure && changes.files.length > 0) {
+    const failed = revertChanges(snapshot, changes.files);
+    changes.reverted = true;
+    if (failed.length > 0) {
+      changes.not_reverted = failed;
+    }
+  }
+  return { ...result, changes };
+}
+
+module.exports = {
+  takeSnapshot,
+  collectChanges,
+  revertChanges,
+  unifiedDiff,
+  runWithChangeCapture
+};
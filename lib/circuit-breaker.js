@@ -0,0 +1,94 @@
+/**
+ * Circuit Breaker
+ *
+ * File-backed circuit breaker shared by the HTTP providers. After
+ * CIRCUIT_BREAKER_THRESHOLD failures within CIRCUIT_BREAKER_WINDOW the
+ * breaker opens and requests are refused until CIRCUIT_BREAKER_COOLDOWN has
+ * passed since the oldest failure. State is one small JSON file per
+ * provider/endpoint: { failures: [timestamps], lastSuccess }.
+ */
+
+const fs = require('fs');
+
+// Circuit Breaker Settings
+const CIRCUIT_BREAKER_THRESHOLD = 3;
+const CIRCUIT_BREAKER_WINDOW = 5 * 60 * 1000; // 5 minutes
+const CIRCUIT_BREAKER_COOLDOWN = 10 * 60 * 1000; // 10 minutes
+
+function loadState(stateFile) {
+  try {
+    if (fs.existsSync(stateFile)) {
+      return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    }
+  } catch (err) {
+    // Ignore errors
+  }
+  return { failures: [], lastSuccess: Date.now() };
+}
+
+function saveState(stateFile, state) {
+  try {
+    fs.writeFileSync(stateFile, JSON.stringify(state), 'utf8');
+  } catch (err) {
+    // Ignore write errors
+  }
+}
+
+/**
+ * Checks whether the breaker is open
+ *
+ * @param {string} stateFile - Path of the state file
+ * @returns {Object} { open, remainingMinutes }
+ */
+function isCircuitBreakerOpen(stateFile) {
+  const state = loadState(stateFile);
+  const now = Date.now();
+
+  // Remove old failures outside window
+  state.failures = state.failures.filter(ts => now - ts < CIRCUIT_BREAKER_WINDOW);
+
+  if (state.failures.length >= CIRCUIT_BREAKER_THRESHOLD) {
+    const oldestFailure = Math.min(...state.failures);
+    const timeSinceOldest = now - oldestFailure;
+
+    if (timeSinceOldest < CIRCUIT_BREAKER_COOLDOWN) {
+      const remainingCooldown = Math.ceil((CIRCUIT_BREAKER_COOLDOWN - timeSinceOldest) / 60000);
+      return { open: true, remainingMinutes: remainingCooldown };
+    }
+
+    // Cooldown expired, reset
+    state.failures = [];
+    saveState(stateFile, state);
+  }
+
+  return { open: false };
+}
+
+/**
+ * Records a failure
+ *
+ * @param {string} stateFile - Path of the state file
+ */
+function recordFailure(stateFile) {
+  const state = loadState(stateFile);
+  state.failures.push(Date.now());
+  saveState(stateFile, state);
+}
+
+/**
+ * Records a success and clears the failure list
+ *
+ * @param {string} stateFile - Path of the state file
+ */
+function recordSuccess(stateFile) {
+  const state = loadState(stateFile);
+  state.failures = [];
+  state.lastSuccess = Date.now();
+  saveState(stateFile, state);
+}
+
+module.exports = {
+  isCircuitBreakerOpen,
+  recordFailure,
+  recordSuccess
+};
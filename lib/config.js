@@ -0,0 +1,59 @@
+/**
+ * Plugin Configuration
+ *
+ * Loads the user configuration for the multi-provider plugin from
+ * ~/.claude/multi_provider_config.json (override with MULTI_PROVIDER_CONFIG)
+ * and merges it over the built-in defaults. A missing or invalid file simply
+ * yields the defaults.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = process.env.MULTI_PROVIDER_CONFIG ||
+  path.join(process.env.HOME || '/tmp', '.claude', 'multi_provider_config.json');
+
+const DEFAULT_CONFIG = {
+  // Order in which providers are tried when a request fails with a
+  // non-content error and fallback is enabled
+  fallback_chain: ['gemini', 'qwen', 'zai', 'codex'],
+  // Error types that trigger a fallback to the next provider
+  fallback_on: ['limit', 'budget', 'auth', 'circuit_breaker', 'missing', 'server_error', 'timeout', 'too_large'],
+  // Providers asked by /consensus when the request names none
+  consensus_providers: ['codex', 'gemini', 'qwen'],
+  // Providers whose prompts run through the context injector (CORE_RULES.md)
+  // unless the request sets `inject_context`, e.g. { "codex": true }.
+  // `true` / `false` applies to all providers
+  inject_context: {},
+  // CORE_RULES.md to inject before the lookup chain (relative to the
+  // project root, `~/` allowed), e.g. "docs/CORE_RULES.md"
+  core_rules_path: null
+};
+
+let cachedConfig = null;
+
+/**
+ * Loads the plugin configuration (cached per process)
+ *
+ * @returns {Object} Defaults merged with the user configuration
+ */
+function loadConfig() {
+  if (cachedConfig === null) {
+    let userConfig = {};
+    try {
+      if (fs.existsSync(CONFIG_FILE)) {
+        userConfig = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+      }
+    } catch (err) {
+      console.error(`Warning: Could not parse ${CONFIG_FILE}: ${err.message}. Using defaults.`);
+    }
+    cachedConfig = { ...DEFAULT_CONFIG, ...userConfig };
+  }
+  return cachedConfig;
+}
+
+module.exports = {
+  CONFIG_FILE,
+  DEFAULT_CONFIG,
+  loadConfig
+};
@@ -0,0 +1,136 @@
+/**
+ * Consensus Fan-Out
+ *
+ * Sends the same request to several providers concurrently and compares
+ * the answers. Each provider goes through the regular run function, so its
+ * circuit breaker (and account rotation for Gemini) applies unchanged.
+ *
+ * Agreement is a cheap lexical measure: the Jaccard similarity of the word
+ * sets of every pair of successful answers. It flags obvious disagreement,
+ * it does not judge correctness.
+ */
+
+const { resolveProvider, runProvider } = require('./providers.js');
+
+const AGREEMENT_LEVELS = [
+  { level: 'high', min: 0.6 },
+  { level: 'medium', min: 0.3 },
+  { level: 'low', min: 0 }
+];
+
+/**
+ * Splits text into a set of lowercase words (3+ characters)
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {Set<string>} Word set
+ */
+function wordSet(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}_]{3,}/gu) || [];
+  return new Set(words);
+}
+
+/**
+ * Jaccard similarity of two word sets
+ *
+ * @param {Set<string>} a - First set
+ * @param {Set<string>} b - Second set
+ * @returns {number} Similarity between 0 and 1
+ */
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) {
+    return 1;
+  }
+  let intersection = 0;
+  for (const word of a) {
+    if (b.has(word)) {
+      intersection++;
+    }
+  }
+  return intersection / (a.size + b.size - intersection);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Computes the agreement summary over all successful responses
+ *
+ * @param {Object[]} responses - Response envelopes
+ * @returns {Object} Agreement summary
+ */
+function computeAgreement(responses) {
+  const answered = responses.filter(r => r.success);
+  const summary = {
+    answered: answered.length,
+    failed: responses.length - answered.length,
+    pairwise: [],
+    mean_similarity: null,
+    level: 'n/a',
+    most_representative: answered.length === 1 ? answered[0].provider : null
+  };
+
+  if (answered.length < 2) {
+    return summary;
+  }
+
+  const sets = answered.map(r => wordSet(r.output));
+  const totals = answered.map(() => 0);
+  let sum = 0;
+
+  for (let i = 0; i < answered.length; i++) {
+    for (let j = i + 1; j < answered.length; j++) {
+      const similarity = jaccard(sets[i], sets[j]);
+      summary.pairwise.push({
+        providers: [answered[i].provider, answered[j].provider],
+        similarity: round(similarity)
+      });
+      totals[i] += similarity;
+      totals[j] += similarity;
+      sum += similarity;
+    }
+  }
+
+  const mean = sum / summary.pairwise.length;
+  summary.mean_similarity = round(mean);
+  summary.level = AGREEMENT_LEVELS.find(l => mean >= l.min).level;
+
+  // The answer closest to all others is the best single representative
+  const best = totals.indexOf(Math.max(...totals));
+  summary.most_representative = answered[best].provider;
+
+  return summary;
+}
+
+/**
+ * Runs one request against several providers concurrently
+ *
+ * Session ids are dropped: parallel answers must not interleave in one
+ * conversation history.
+ *
+ * @param {string[]} providers - Provider names or aliases
+ * @param {Object} request - Normalized request (see lib/providers.js)
+ * @returns {Promise<Object>} { results, agreement, duration_ms }
+ */
+async function runConsensus(providers, request) {
+  const models = request.models || {};
+  const started = Date.now();
+
+  const results = await Promise.all(providers.map((name) => {
+    const provider = resolveProvider(name) || name;
+    const providerRequest = { ...request, model: models[provider] };
+    delete providerRequest.session_id;
+    return runProvider(provider, providerRequest);
+  }));
+
+  return {
+    results,
+    agreement: computeAgreement(results),
+    duration_ms: Date.now() - started
+  };
+}
+
+module.exports = {
+  computeAgreement,
+  runConsensus
+};
@@ -8,25 +8,155 @@
  *
  * Strategy: Hybrid approach with CORE_RULES.md (~500 tokens)
  * instead of full CLAUDE.md (~5000 tokens) = 90% cost savings
+ *
+ * CORE_RULES.md is looked up along a chain (explicit path, environment,
+ * project, ~/.claude, plugin directory, legacy install path; see
+ * getCoreRulesCandidates), so a project can ship its own rules. Project files selected by `include`
+ * globs are packed into the additional context (see packIncluded and
+ * lib/context-packer.js).
  */
 
 const fs = require('fs');
 const path = require('path');
+const { getProjectRoot } = require('./workdir.js');
+const tokens = require('./tokens.js');
+const { packContext } = require('./context-packer.js');
+
+// Environment variable naming a CORE_RULES.md outside the search chain
+const CORE_RULES_ENV = 'MULTI_PROVIDER_CORE_RULES';
+
+// Rules files by path, read once per process
+const rulesCache = new Map();
+let warnedMissing = false;
+// Explicit / environment paths already reported as missing
+const warnedPaths = new Set();
+
+/**
+ * Lists the CORE_RULES.md candidates in lookup order
+ *
+ * 1. options.rulesPath (explicit; the request pipeline passes
+ *    `core_rules_path` from the config)
+ * 2. $MULTI_PROVIDER_CORE_RULES
+ * 3. the project root: .claude/CORE_RULES.md, then CORE_RULES.md, so a
+ *    project can override the user-wide rules
+ * 4. ~/.claude/CORE_RULES.md
+ * 5. CORE_RULES.md in the plugin directory
+ * 6. ../../../CORE_RULES.md, the fixed path of older installs
+ *
+ * @param {Object} options - { rulesPath }
+ * @returns {Object[]} [{ path, source }]
+ */
+function getCoreRulesCandidates(options = {}) {
+  const candidates = [];
+  if (options.rulesPath) {
+    const rulesPath = options.rulesPath.startsWith('~/')
+      ? path.join(process.env.HOME || '/tmp', options.rulesPath.slice(2))
+      : options.rulesPath;
+    candidates.push({ path: path.resolve(getProjectRoot(), rulesPath), source: 'option' });
+  }
+  if (process.env[CORE_RULES_ENV]) {
+    candidates.push({ path: path.resolve(process.env[CORE_RULES_ENV]), source: 'env' });
+  }
+  const projectRoot = getProjectRoot();
+  candidates.push(
+    { path: path.join(projectRoot, '.claude', 'CORE_RULES.md'), source: 'project' },
+    { path: path.join(projectRoot, 'CORE_RULES.md'), source: 'project' },
+    { path: path.join(process.env.HOME || '/tmp', '.claude', 'CORE_RULES.md'), source: 'home' },
+    { path: path.join(__dirname, '..', 'CORE_RULES.md'), source: 'plugin' },
+    { path: path.join(__dirname, '../../../CORE_RULES.md'), source: 'legacy' }
+  );
+  return candidates;
+}
 
-// Load CORE_RULES.md once at startup
-const CORE_RULES_PATH = path.join(__dirname, '../../../CORE_RULES.md');
-let CORE_RULES = null;
+/**
+ * Finds the CORE_RULES.md to use
+ *
+ * An explicit or environment path that does not exist is reported on stderr
+ * (once per path) and skipped, so the chain falls through to the next
+ * candidate.
+ *
+ * @param {Object} options - { rulesPath }
+ * @returns {Object} { path, source } or { path: null, source: null }
+ */
+function resolveCoreRules(options = {}) {
+  for (const candidate of getCoreRulesCandidates(options)) {
+    if (fs.existsSync(candidate.path) && fs.statSync(candidate.path).isFile()) {
+      return candidate;
+    }
+    if ((candidate.source === 'option' || candidate.source === 'env') && !warnedPaths.has(candidate.path)) {
+      warnedPaths.add(candidate.path);
+      console.error(`Warning: CORE_RULES.md from ${candidate.source} not found at ${candidate.path}.`);
+    }
+  }
+  return { path: null, source: null };
+}
 
-function loadCoreRules() {
-  if (CORE_RULES === null) {
+function loadCoreRules(options = {}) {
+  const resolved = resolveCoreRules(options);
+  if (!resolved.path) {
+    if (!warnedMissing) {
+      console.error('Warning: CORE_RULES.md not found. Context injection disabled.');
+      warnedMissing = true;
+    }
+    return { ...resolved, text: '' };
+  }
+  if (!rulesCache.has(resolved.path)) {
     try {
-      CORE_RULES = fs.readFileSync(CORE_RULES_PATH, 'utf8');
+      rulesCache.set(resolved.path, fs.readFileSync(resolved.path, 'utf8'));
     } catch (err) {
-      console.error('Warning: CORE_RULES.md not found. Context injection disabled.');
-      CORE_RULES = '';
+      console.error(`Warning: Could not read ${resolved.path}: ${err.message}`);
+      rulesCache.set(resolved.path, '');
     }
   }
-  return CORE_RULES;
+  return { ...resolved, text: rulesCache.get(resolved.path) };
+}
+
+// Task types known to detectTaskType / accepted as `task_type`
+const TASK_TYPES = ['code_review', 'implementation', 'debugging', 'refactoring', 'explanation', 'general'];
+
+// Task types that get CORE_RULES.md (besides an unspecified type)
+const RULE_TASK_TYPES = ['code_review', 'implementation', 'debugging', 'refactoring'];
+
+/**
+ * Joins the given context and packed repository files
+ *
+ * @param {string} context - Task-specific context (optional)
+ * @param {string} packed - Packed files (optional)
+ * @returns {string} Both, separated by a blank line
+ */
+function joinContext(context, packed) {
+  return [context, packed].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Packs the project files selected by `include` / `exclude` behind the
+ * given context
+ *
+ * The only place that packs: buildPrompt and injectContext call it, the
+ * request pipeline calls it once per request so trimming works on the
+ * packed text.
+ *
+ * @param {Object} options - { context, include, exclude, budget, maxBytes, provider, model }
+ * @returns {Object} { context, packed } (packed is the packContext result, null without include)
+ */
+function packIncluded(options) {
+  if (options.include === undefined) {
+    return { context: options.context, packed: null };
+  }
+  const packed = packContext({
+    include: options.include,
+    exclude: options.exclude,
+    budget: options.budget,
+    maxBytes: options.maxBytes,
+    provider: options.provider,
+    model: options.model
+  });
+  return { context: joinContext(options.context, packed.text), packed };
+}
+
+// Rules go in unless disabled; with a task type only for code-related tasks
+function shouldIncludeRules(options) {
+  return options.includeRules !== false && (!options.taskType || RULE_TASK_TYPES.includes(options.taskType));
 }
 
 /**
@@ -37,23 +167,27 @@ function loadCoreRules() {
  * @param {boolean} options.includeRules - Include CORE_RULES.md (default: true for code tasks)
  * @param {string} options.context - Additional task-specific context
  * @param {string} options.taskType - Type of task (code_review, implementation, etc.)
+ * @param {string} options.system - System prompt for providers without a native system field
+ * @param {string} options.rulesPath - Explicit CORE_RULES.md (see getCoreRulesCandidates)
+ * @param {string[]} options.include - Globs of project files to pack into the context
+ * @param {string[]} options.exclude - Globs of project files to leave out
+ * @param {number} options.budget - Token budget of the packed files (see lib/context-packer.js)
  * @returns {string} The complete prompt
  */
 function buildPrompt(task, options = {}) {
   const parts = [];
+  const context = packIncluded(options).context;
 
-  // Determine if we should include rules based on task type
-  const shouldIncludeRules = options.includeRules !== false && (
-    options.taskType === 'code_review' ||
-    options.taskType === 'implementation' ||
-    options.taskType === 'debugging' ||
-    options.taskType === 'refactoring' ||
-    !options.taskType  // Default to including rules if no type specified
-  );
+  // System prompt goes first so it frames everything that follows
+  if (options.system) {
+    parts.push('# System\n');
+    parts.push(options.system);
+    parts.push('\n\n');
+  }
 
   // Include core rules for code-related tasks
-  if (shouldIncludeRules) {
-    const rules = loadCoreRules();
+  if (shouldIncludeRules(options)) {
+    const rules = loadCoreRules(options).text;
     if (rules) {
       parts.push('# Context and Rules\n');
       parts.push(rules);
@@ -62,9 +196,9 @@ function buildPrompt(task, options = {}) {
   }
 
   // Add task-specific context if provided
-  if (options.context) {
+  if (context) {
     parts.push('# Additional Context\n');
-    parts.push(options.context);
+    parts.push(context);
     parts.push('\n\n');
   }
 
@@ -119,6 +253,42 @@ function smartBuildPrompt(prompt, options = {}) {
   });
 }
 
+/**
+ * Builds a provider prompt and reports what the injector added
+ *
+ * The task type is detected from the prompt unless given. The report lists
+ * the headings of the injected CORE_RULES.md (empty when the task type does
+ * not get rules), where they came from and the estimated token cost of
+ * rules and context. With `include` globs it also reports the packed files.
+ *
+ * @param {string} prompt - The prompt to send
+ * @param {Object} options - Options of buildPrompt (includeRules, context, taskType, system,
+ *                           rulesPath, include, exclude, budget) plus provider / model for
+ *                           the token estimates
+ * @returns {Object} { prompt, report: { task_type, rules, rules_path, rules_source, rules_tokens,
+ *                   context_tokens, packed } }
+ */
+function injectContext(prompt, options = {}) {
+  const taskType = options.taskType || detectTaskType(prompt);
+  const rules = shouldIncludeRules({ ...options, taskType }) ? loadCoreRules(options) : { text: '' };
+  const { context, packed } = packIncluded(options);
+
+  const report = {
+    task_type: taskType,
+    rules: rules.text.split('\n').filter(line => /^#{1,3} /.test(line)).map(line => line.replace(/^#+\s*/, '').trim()),
+    rules_tokens: estimateTokens(rules.text, options.provider, options.model),
+    context_tokens: estimateTokens(context || '', options.provider, options.model)
+  };
+  if (rules.text) {
+    report.rules_path = rules.path;
+    report.rules_source = rules.source;
+  }
+  if (packed) {
+    report.packed = packed.report;
+  }
+  return { prompt: buildPrompt(prompt, { ...options, taskType, context, include: undefined }), report };
+}
+
 /**
  * Extracts code blocks from a prompt for context
  *
@@ -139,30 +309,41 @@ function extractCodeBlocks(prompt) {
  * Estimates token count (rough approximation)
  *
  * @param {string} text - Text to estimate
+ * @param {string} provider - Provider whose tokenizer to assume (optional, see lib/tokens.js)
+ * @param {string} model - Model name (optional)
  * @returns {number} Estimated token count
  */
-function estimateTokens(text) {
-  // Rough estimate: ~4 characters per token
-  return Math.ceil(text.length / 4);
+function estimateTokens(text, provider, model) {
+  return tokens.estimateTokens(text, provider, model);
 }
 
 /**
  * Gets statistics about context injection
  *
- * @returns {Object} Statistics
+ * @param {Object} options - { rulesPath }
+ * @returns {Object} Statistics, including the resolved rules path, its source
+ *                   (option, env, project, home, plugin or null) and every
+ *                   path that was searched
  */
-function getStats() {
-  const rules = loadCoreRules();
+function getStats(options = {}) {
+  const rules = loadCoreRules(options);
   return {
-    coreRulesLoaded: rules.length > 0,
-    coreRulesTokens: estimateTokens(rules),
-    coreRulesPath: CORE_RULES_PATH
+    coreRulesLoaded: rules.text.length > 0,
+    coreRulesTokens: estimateTokens(rules.text),
+    coreRulesPath: rules.path,
+    coreRulesSource: rules.source,
+    coreRulesSearched: getCoreRulesCandidates(options).map(candidate => candidate.path)
   };
 }
 
 module.exports = {
+  TASK_TYPES,
   buildPrompt,
   smartBuildPrompt,
+  injectContext,
+  joinContext,
+  packIncluded,
+  resolveCoreRules,
   detectTaskType,
   extractCodeBlocks,
   estimateTokens,
@@ -0,0 +1,157 @@
+/**
+ * Context Packer
+ *
+ * Packs repository files into the `# Additional Context` section of a
+ * prompt (see packIncluded in lib/context-injector.js). Files below the project root are selected with `include` /
+ * `exclude` globs (see lib/glob.js) and listed like attachments: `git
+ * ls-files` in a git work tree, otherwise a walk that honours the root
+ * .gitignore. Binaries, files above MAX_FILE_BYTES and symlinks pointing
+ * outside the allowed roots (see lib/workdir.js) are skipped.
+ *
+ * Packing is deterministic: files go in sorted path order until the token
+ * budget is used up. The first file that does not fit is cut at a line
+ * boundary when at least MIN_PARTIAL_TOKENS remain; every later file is
+ * skipped with reason "budget". options.maxBytes caps the packed text the
+ * same way, for providers that get the prompt as a command-line argument.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getProjectRoot, getWorkdirAllowlist, isAllowedPath } = require('./workdir.js');
+const { createMatcher } = require('./glob.js');
+const { listDirectory, isBinary, formatFileSection } = require('./attachments.js');
+const { estimateTokens, tokensToChars } = require('./tokens.js');
+
+const DEFAULT_BUDGET = 20000;
+const MIN_PARTIAL_TOKENS = 200;
+const MIN_PARTIAL_BYTES = 1024;
+const MAX_FILE_BYTES = 256 * 1024;
+const TRUNCATION_MARKER = '[... file truncated to fit the context budget]\n';
+
+function isGlobList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(glob => typeof glob === 'string' && glob.trim() !== '');
+}
+
+/**
+ * Validates the packer fields of a request
+ *
+ * @param {Object} options - { include, exclude, budget }
+ * @returns {string|null} Error message or null
+ */
+function validatePackOptions(options) {
+  if (options.include !== undefined && !isGlobList(options.include)) {
+    return 'Field `include` must be a non-empty array of glob strings.';
+  }
+  if (options.exclude !== undefined && !isGlobList(options.exclude)) {
+    return 'Field `exclude` must be a non-empty array of glob strings.';
+  }
+  if (options.exclude !== undefined && options.include === undefined) {
+    return 'Field `exclude` needs `include`.';
+  }
+  if (options.budget !== undefined && !(Number.isInteger(options.budget) && options.budget > 0)) {
+    return 'Field `context_budget` must be a positive integer (tokens).';
+  }
+  return null;
+}
+
+// Cuts text at the last line break within `chars` characters
+function cutAtLine(text, chars) {
+  const cut = text.slice(0, chars);
+  const lastBreak = cut.lastIndexOf('\n');
+  return lastBreak > 0 ? cut.slice(0, lastBreak + 1) : cut;
+}
+
+/**
+ * Packs the matching files of the project into one context text
+ *
+ * @param {Object} options - { include, exclude, budget, maxBytes, provider, model }
+ * @returns {Object} { text, report: { files: [{ path, tokens, truncated? }],
+ *                   skipped: [{ path, reason }], tokens, budget, max_bytes?, truncated } }
+ */
+function packContext(options) {
+  const root = getProjectRoot();
+  const budget = options.budget || DEFAULT_BUDGET;
+  const included = createMatcher(options.include);
+  const excluded = options.exclude ? createMatcher(options.exclude) : () => false;
+
+  const files = listDirectory(root)
+    .map(file => path.relative(root, file).split(path.sep).join('/'))
+    .filter(file => included(file) && !excluded(file))
+    .sort();
+
+  const report = { files: [], skipped: [], tokens: 0, budget, truncated: false };
+  if (options.maxBytes) {
+    report.max_bytes = options.maxBytes;
+  }
+  const sections = [];
+  const allowlist = getWorkdirAllowlist();
+  let remaining = budget;
+  // Each section after the first costs two more bytes for the separator
+  let remainingBytes = options.maxBytes ? options.maxBytes + 2 : Infinity;
+
+  for (const file of files) {
+    const full = path.join(root, file);
+    if (remaining < MIN_PARTIAL_TOKENS || remainingBytes < MIN_PARTIAL_BYTES) {
+      report.skipped.push({ path: file, reason: 'budget' });
+      report.truncated = true;
+      continue;
+    }
+    if (!isAllowedPath(full, allowlist)) {
+      report.skipped.push({ path: file, reason: 'outside' });
+      continue;
+    }
+
+    let content;
+    try {
+      if (fs.statSync(full).size > MAX_FILE_BYTES) {
+        report.skipped.push({ path: file, reason: 'too_large' });
+        continue;
+      }
+      content = fs.readFileSync(full);
+    } catch (err) {
+      report.skipped.push({ path: file, reason: 'unreadable' });
+      continue;
+    }
+    if (isBinary(content)) {
+      report.skipped.push({ path: file, reason: 'binary' });
+      continue;
+    }
+
+    const text = content.toString('utf8');
+    let section = formatFileSection(file, text);
+    let tokens = estimateTokens(section, options.provider, options.model);
+    // Separator included
+    let bytes = Buffer.byteLength(section) + 2;
+    const entry = { path: file };
+    if (tokens > remaining || bytes > remainingBytes) {
+      // Leave room for the header, fences and marker; shrink further when
+      // CJK text makes the character estimate too generous
+      let chars = Math.min(tokensToChars(remaining - 32, options.provider, options.model), remainingBytes - 128);
+      do {
+        section = formatFileSection(file, cutAtLine(text, chars) + TRUNCATION_MARKER);
+        tokens = estimateTokens(section, options.provider, options.model);
+        bytes = Buffer.byteLength(section) + 2;
+        chars = Math.floor(chars * 0.8);
+      } while ((tokens > remaining || bytes > remainingBytes) && chars > 0);
+      entry.truncated = true;
+      report.truncated = true;
+      remaining = 0;
+    } else {
+      remaining -= tokens;
+      remainingBytes -= bytes;
+    }
+
+    entry.tokens = tokens;
+    sections.push(section);
+    report.files.push(entry);
+    report.tokens += tokens;
+  }
+
+  return { text: sections.join('\n\n'), report };
+}
+
+module.exports = {
+  DEFAULT_BUDGET,
+  validatePackOptions,
+  packContext
+};
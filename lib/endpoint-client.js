@@ -0,0 +1,307 @@
+/**
+ * Endpoint Client
+ *
+ * Plumbing shared by the HTTP API clients (lib/anthropic-compatible.js and
+ * lib/openai-compatible.js): API key lookup, URL parsing, the JSON POST
+ * with its timeout and connection handling, and the mapping of HTTP errors
+ * onto the common error taxonomy (auth, limit, server_error, timeout,
+ * circuit_breaker, error). Every failure that is not the caller's fault is
+ * recorded on the endpoint's circuit breaker (endpoint.state_file).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const breaker = require('./circuit-breaker.js');
+const { createSseParser } = require('./stream.js');
+
+const HOME = process.env.HOME || '/tmp';
+
+function expandHome(file) {
+  return file.startsWith('~/') ? path.join(HOME, file.slice(2)) : file;
+}
+
+/**
+ * Parses a configured endpoint URL
+ *
+ * @param {string} value - URL from preset, config or environment
+ * @returns {URL|null} Parsed URL, or null when malformed
+ */
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Reads the API key of an endpoint: `api_key_file`, then `api_key_env`,
+ * then a literal `api_key` from the configuration
+ *
+ * @param {Object} endpoint - Resolved endpoint
+ * @returns {string|null} API key or null
+ */
+function getEndpointApiKey(endpoint) {
+  if (endpoint.api_key_file) {
+    try {
+      const key = fs.readFileSync(expandHome(endpoint.api_key_file), 'utf8').trim();
+      if (key) return key;
+    } catch (err) {
+      // Fall through to the next source
+    }
+  }
+  if (endpoint.api_key_env && process.env[endpoint.api_key_env]) {
+    return process.env[endpoint.api_key_env];
+  }
+  return endpoint.api_key || null;
+}
+
+/**
+ * Checks what must hold before a request is sent: a usable URL, a closed
+ * circuit breaker and, where the endpoint needs one, an API key
+ *
+ * @param {Object} endpoint - Resolved endpoint
+ * @param {string|null} apiKey - API key
+ * @param {boolean} keyRequired - Whether a missing key is an error
+ * @returns {Object|null} Failed run result, or null when the request may go out
+ */
+function checkRequest(endpoint, apiKey, keyRequired) {
+  if (endpoint.invalid_url) {
+    return { ok: false, type: 'invalid_request', message: endpoint.invalid_url };
+  }
+
+  const circuitState = breaker.isCircuitBreakerOpen(endpoint.state_file);
+  if (circuitState.open) {
+    return {
+      ok: false,
+      type: 'circuit_breaker',
+      message: `Circuit breaker is open due to repeated failures. Please wait ${circuitState.remainingMinutes} minutes before retrying.`
+    };
+  }
+
+  if (!apiKey && keyRequired) {
+    const sources = [endpoint.api_key_file, endpoint.api_key_env && `$${endpoint.api_key_env}`].filter(Boolean);
+    return {
+      ok: false,
+      type: 'auth',
+      message: `${endpoint.label} API key not found.` +
+        (sources.length ? ` Configure it via ${sources.join(' or ')}.` : '')
+    };
+  }
+  return null;
+}
+
+/**
+ * Maps a non-2xx HTTP status to a run result (with breaker accounting)
+ *
+ * @param {Object} endpoint - Resolved endpoint
+ * @param {number} statusCode - HTTP status
+ * @param {string} data - Response body
+ * @param {number[]} authStatuses - Statuses meaning rejected credentials
+ * @returns {Object} Failed run result
+ */
+function httpErrorResult(endpoint, statusCode, data, authStatuses = [401]) {
+  if (authStatuses.includes(statusCode)) {
+    return {
+      ok: false,
+      type: 'auth',
+      message: `${endpoint.label} authentication failed. Check your API key.`
+    };
+  }
+  breaker.recordFailure(endpoint.state_file);
+  if (statusCode === 429) {
+    return {
+      ok: false,
+      type: 'limit',
+      message: `${endpoint.label} rate limit or quota reached. Please wait before retrying.`
+    };
+  }
+  if (statusCode >= 500) {
+    return {
+      ok: false,
+      type: 'server_error',
+      message: `${endpoint.label} server error: HTTP ${statusCode}. Service may be temporarily unavailable.`
+    };
+  }
+  return {
+    ok: false,
+    type: 'error',
+    message: `${endpoint.label} API error: HTTP ${statusCode}. Response: ${data.substring(0, 500)}`
+  };
+}
+
+/**
+ * Builds a successful run result
+ *
+ * @param {string} output - Answer text
+ * @param {string} model - Model reported by the API
+ * @param {string} stopReason - Why generation stopped
+ * @param {Object} usage - { input_tokens, output_tokens } (optional)
+ * @returns {Object} Run result
+ */
+function buildResult(output, model, stopReason, usage) {
+  const result = { ok: true, output };
+  if (model) {
+    result.model = model;
+  }
+  if (stopReason) {
+    result.stop_reason = stopReason;
+  }
+  if (usage && (Number.isFinite(usage.input_tokens) || Number.isFinite(usage.output_tokens))) {
+    result.usage = {
+      input_tokens: usage.input_tokens,
+      output_tokens: usage.output_tokens
+    };
+  }
+  return result;
+}
+
+/**
+ * Reads a server-sent event response
+ *
+ * Every event goes to onEvent(name, data); once the response has ended,
+ * finish() builds the run result. A connection that is aborted, fails or
+ * closes before the end settles with a server_error instead and counts as
+ * a breaker failure, so a dropped stream never leaves the request pending.
+ *
+ * @param {Object} endpoint - Resolved endpoint (label, state_file)
+ * @param {http.IncomingMessage} res - Successful streaming response
+ * @param {Function} onEvent - (name, data) for every event
+ * @param {Function} finish - () => result once the response has ended
+ * @returns {Promise<Object>} Run result
+ */
+function readSseResponse(endpoint, res, onEvent, finish) {
+  return new Promise((resolve) => {
+    let settled = false;
+    const parser = createSseParser(onEvent);
+
+    const dropped = (reason) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      breaker.recordFailure(endpoint.state_file);
+      resolve({
+        ok: false,
+        type: 'server_error',
+        message: `${endpoint.label} connection lost during stream (${reason}).`
+      });
+    };
+
+    res.on('data', (chunk) => parser.push(chunk));
+    res.on('end', () => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      parser.end();
+      resolve(finish());
+    });
+    res.on('aborted', () => dropped('aborted'));
+    res.on('error', (err) => dropped(err.message));
+    res.on('close', () => dropped('closed before the end'));
+  });
+}
+
+/**
+ * POSTs a JSON body to endpoint.url
+ *
+ * A successful response goes to handlers.onStream (streaming requests, gets
+ * the response object) or handlers.onBody (gets the parsed JSON); both
+ * return the run result and do their own success accounting.
+ *
+ * @param {Object} endpoint - Resolved endpoint (url, label, timeout_ms, state_file)
+ * @param {Object} body - Request body
+ * @param {Object} headers - Additional headers (auth, API version)
+ * @param {Object} handlers - { onStream(res) => Promise<result>,
+ *                            onBody(json, data) => result, authStatuses }
+ * @returns {Promise<Object>} Run result
+ */
+function postJson(endpoint, body, headers, handlers) {
+  return new Promise((resolve) => {
+    const streaming = typeof handlers.onStream === 'function';
+    const requestBody = JSON.stringify(body);
+    const url = endpoint.url;
+    const requestOptions = {
+      hostname: url.hostname,
+      port: url.port || (url.protocol === 'http:' ? 80 : 443),
+      path: url.pathname + url.search,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': streaming ? 'text/event-stream' : 'application/json',
+        'Content-Length': Buffer.byteLength(requestBody),
+        ...headers
+      },
+      timeout: endpoint.timeout_ms // without data
+    };
+
+    const transport = url.protocol === 'http:' ? http : https;
+    const req = transport.request(requestOptions, (res) => {
+      const success = res.statusCode === 200 || res.statusCode === 201;
+      if (success && streaming) {
+        handlers.onStream(res).then(resolve);
+        return;
+      }
+
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        if (!success) {
+          resolve(httpErrorResult(endpoint, res.statusCode, data, handlers.authStatuses));
+          return;
+        }
+        let response;
+        try {
+          response = JSON.parse(data);
+        } catch (err) {
+          resolve({
+            ok: false,
+            type: 'error',
+            message: `Failed to parse ${endpoint.label} response: ${err.message}`
+          });
+          return;
+        }
+        resolve(handlers.onBody(response, data));
+      });
+    });
+
+    req.on('error', (err) => {
+      breaker.recordFailure(endpoint.state_file);
+      resolve({
+        ok: false,
+        type: 'error',
+        message: `${endpoint.label} connection error: ${err.message}`
+      });
+    });
+
+    req.on('timeout', () => {
+      req.destroy();
+      breaker.recordFailure(endpoint.state_file);
+      resolve({
+        ok: false,
+        type: 'timeout',
+        message: `${endpoint.label} API request timed out after ${Math.round(endpoint.timeout_ms / 1000)} seconds without data.`
+      });
+    });
+
+    req.write(requestBody);
+    req.end();
+  });
+}
+
+module.exports = {
+  parseUrl,
+  getEndpointApiKey,
+  checkRequest,
+  httpErrorResult,
+  buildResult,
+  readSseResponse,
+  postJson
+};
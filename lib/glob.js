@@ -0,0 +1,105 @@
+/**
+ * Glob Matching
+ *
+ * Minimal glob support for selecting repository files, without a
+ * dependency. Paths are relative and use "/" as separator.
+ *
+ *   *      any characters except "/"
+ *   **     any number of directories ("src/**" or "**\/test.js")
+ *   ?      one character except "/"
+ *   {a,b}  alternatives
+ *
+ * Also reads a directory's .gitignore into the same matchers, for trees
+ * that are not git work trees (negated patterns are not supported).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Converts a glob to a regular expression matching whole relative paths
+ *
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Anchored expression
+ */
+function globToRegExp(glob) {
+  let source = '';
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      braces++;
+      source += '(?:';
+    } else if (char === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Builds a predicate that is true when a path matches any of the globs
+ *
+ * @param {string[]} globs - Glob patterns
+ * @returns {Function} (relativePath) => boolean
+ */
+function createMatcher(globs) {
+  const patterns = globs.map(globToRegExp);
+  return file => patterns.some(pattern => pattern.test(file));
+}
+
+// Translates one .gitignore line into globs
+function gitignoreGlobs(line) {
+  let pattern = line.trim();
+  if (!pattern || pattern.startsWith('#') || pattern.startsWith('!')) {
+    return [];
+  }
+  if (pattern.endsWith('/')) {
+    pattern = pattern.slice(0, -1);
+  }
+  // A slash anywhere but at the end anchors the pattern to the root
+  if (pattern.includes('/')) {
+    pattern = pattern.replace(/^\//, '');
+    return [pattern, `${pattern}/**`];
+  }
+  return [`**/${pattern}`, `**/${pattern}/**`];
+}
+
+/**
+ * Reads the .gitignore at the root of a directory
+ *
+ * @param {string} dir - Directory
+ * @returns {Function} (relativePath) => boolean; always false without a .gitignore
+ */
+function loadGitignore(dir) {
+  let content;
+  try {
+    content = fs.readFileSync(path.join(dir, '.gitignore'), 'utf8');
+  } catch (err) {
+    return () => false;
+  }
+  return createMatcher(content.split('\n').flatMap(gitignoreGlobs));
+}
+
+module.exports = {
+  globToRegExp,
+  createMatcher,
+  loadGitignore
+};
@@ -0,0 +1,216 @@
+/**
+ * Judge Mode
+ *
+ * Lets one provider rank and critique the answers of other providers.
+ * Candidates are shuffled and labeled A, B, C, ... so the judge cannot
+ * tell which provider wrote which answer. The judge must reply with JSON;
+ * labels are mapped back to providers afterwards.
+ */
+
+const { runProvider } = require('./providers.js');
+
+const LABELS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Shuffles candidates and assigns anonymous labels
+ *
+ * @param {Object[]} candidates - [{ provider, output }]
+ * @returns {Object[]} [{ label, provider, output }] in shuffled order
+ */
+function anonymize(candidates) {
+  const shuffled = [...candidates];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled.slice(0, LABELS.length).map((candidate, index) => ({
+    label: LABELS[index],
+    provider: candidate.provider,
+    output: candidate.output
+  }));
+}
+
+/**
+ * Builds the prompt sent to the judge
+ *
+ * @param {string} task - Original prompt the candidates answered
+ * @param {Object[]} labeled - Anonymized candidates
+ * @returns {string} Judge prompt
+ */
+function buildJudgePrompt(task, labeled) {
+  const parts = [
+    'You are judging candidate answers to the same task. The candidates are anonymized.\n\n',
+    '# Task\n',
+    task,
+    '\n\n# Candidate answers\n\n'
+  ];
+
+  for (const candidate of labeled) {
+    parts.push(`## Answer ${candidate.label}\n${candidate.output}\n\n`);
+  }
+
+  parts.push('# Instructions\n');
+  parts.push('Rank ALL candidates from best to worst by correctness, completeness and clarity. ');
+  parts.push('Give each a score from 0 to 10 and a short reasoning.\n');
+  parts.push('Respond with ONLY a JSON object, no prose and no code fences, in exactly this shape:\n');
+  parts.push('{"ranking": [{"label": "A", "score": 8.5, "reasoning": "..."}], "winner": "A", "summary": "..."}');
+
+  return parts.join('');
+}
+
+/**
+ * Extracts the JSON object from the judge's reply
+ *
+ * Accepts plain JSON, fenced ```json blocks and JSON surrounded by prose.
+ *
+ * @param {string} text - Judge output
+ * @returns {Object|null} Parsed object or null
+ */
+function extractJson(text) {
+  const candidates = [text.trim()];
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) {
+    candidates.push(fenced[1].trim());
+  }
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    candidates.push(text.slice(start, end + 1));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === 'object') {
+        return parsed;
+      }
+    } catch (err) {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
+
+/**
+ * Validates the judge's reply and maps labels back to providers
+ *
+ * @param {string} text - Judge output
+ * @param {Object[]} labeled - Anonymized candidates
+ * @returns {Object} { ok, ranking, winner, summary } or { ok: false, message }
+ */
+function parseJudgement(text, labeled) {
+  const parsed = extractJson(text || '');
+  if (!parsed || !Array.isArray(parsed.ranking)) {
+    return { ok: false, message: 'Judge did not return a JSON object with a `ranking` list.' };
+  }
+
+  const byLabel = new Map(labeled.map(c => [c.label, c]));
+  const seen = new Set();
+  const ranking = [];
+
+  for (const entry of parsed.ranking) {
+    if (!entry || typeof entry !== 'object') {
+      continue;
+    }
+    const label = String(entry.label || '').trim().toUpperCase();
+    if (!byLabel.has(label) || seen.has(label)) {
+      continue;
+    }
+    seen.add(label);
+    const score = Number(entry.score);
+    ranking.push({
+      rank: ranking.length + 1,
+      label,
+      provider: byLabel.get(label).provider,
+      score: Number.isFinite(score) ? score : null,
+      reasoning: typeof entry.reasoning === 'string' ? entry.reasoning : ''
+    });
+  }
+
+  if (ranking.length === 0) {
+    return { ok: false, message: 'Judge ranking does not reference any candidate label.' };
+  }
+
+  const missing = labeled.filter(c => !seen.has(c.label)).map(c => c.label);
+  const winnerLabel = byLabel.has(String(parsed.winner || '').toUpperCase())
+    ? String(parsed.winner).toUpperCase()
+    : ranking[0].label;
+
+  return {
+    ok: true,
+    ranking,
+    winner: { label: winnerLabel, provider: byLabel.get(winnerLabel).provider },
+    summary: typeof parsed.summary === 'string' ? parsed.summary : '',
+    unranked: missing
+  };
+}
+
+/**
+ * Asks the judge provider to rank the candidate answers
+ *
+ * @param {string} judge - Judge provider name or alias
+ * @param {string} task - Original prompt
+ * @param {Object[]} candidates - [{ provider, output }] (at least two)
+ * @param {Object} options - { model } for the judge
+ * @returns {Promise<Object>} Judgement (machine-readable, see README)
+ */
+async function runJudge(judge, task, candidates, options = {}) {
+  if (candidates.length < 2) {
+    return {
+      judge,
+      success: false,
+      error_type: 'not_enough_answers',
+      message: 'Judge mode needs at least two successful answers.'
+    };
+  }
+
+  const labeled = anonymize(candidates);
+  const response = await runProvider(judge, {
+    prompt: buildJudgePrompt(task, labeled),
+    model: options.model,
+    access: 'read-only'
+  });
+
+  const base = {
+    judge: response.provider,
+    model: response.model,
+    labels: Object.fromEntries(labeled.map(c => [c.label, c.provider])),
+    duration_ms: response.duration_ms
+  };
+
+  if (!response.success) {
+    return {
+      ...base,
+      success: false,
+      error_type: response.error_type,
+      message: response.message
+    };
+  }
+
+  const judgement = parseJudgement(response.output, labeled);
+  if (!judgement.ok) {
+    return {
+      ...base,
+      success: false,
+      error_type: 'invalid_judgement',
+      message: judgement.message,
+      raw_output: response.output
+    };
+  }
+
+  return {
+    ...base,
+    success: true,
+    winner: judgement.winner,
+    ranking: judgement.ranking,
+    unranked: judgement.unranked,
+    summary: judgement.summary
+  };
+}
+
+module.exports = {
+  anonymize,
+  buildJudgePrompt,
+  parseJudgement,
+  runJudge
+};
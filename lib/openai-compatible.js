@@ -0,0 +1,355 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * Generic client for endpoints that speak the OpenAI chat-completions API
+ * (`POST {base_url}/chat/completions`, optionally streamed via server-sent
+ * events): DashScope (Qwen), Moonshot (Kimi), OpenAI itself, or a local
+ * llama.cpp / vLLM / Ollama server. Endpoints are built-in presets and/or
+ * entries under `openai_endpoints` in ~/.claude/multi_provider_config.json:
+ *
+ *   "openai_endpoints": {
+ *     "local": { "base_url": "http://127.0.0.1:8000/v1", "default_model": "qwen2.5-coder" },
+ *     "dashscope": { "default_model": "qwen3-max" }
+ *   }
+ *
+ * Fields: base_url, api_key_file / api_key_env / api_key (no key source
+ * means no Authorization header, e.g. for local servers), default_model,
+ * models (allowed model list; empty allows any), label, timeout_ms,
+ * stream_usage (request usage in streams, default true). `base_url_env`
+ * names a variable that overrides base_url at runtime. A malformed base URL
+ * marks the endpoint with `invalid_url` and its requests fail with
+ * `invalid_request`.
+ *
+ * Errors use the same taxonomy as the Anthropic-compatible client (auth,
+ * limit, server_error, timeout, circuit_breaker, error; see
+ * lib/endpoint-client.js) and every endpoint has its own circuit breaker.
+ */
+
+const path = require('path');
+const { loadConfig } = require('./config.js');
+const breaker = require('./circuit-breaker.js');
+const { parseUrl, getEndpointApiKey, checkRequest, buildResult, readSseResponse, postJson } = require('./endpoint-client.js');
+const { runRequest } = require('./request-pipeline.js');
+
+const HOME = process.env.HOME || '/tmp';
+
+const OPENAI_PRESETS = {
+  dashscope: {
+    label: 'DashScope',
+    base_url: 'https://dashscope-intl.aliyuncs.com/compatible-mode/v1',
+    api_key_env: 'DASHSCOPE_API_KEY',
+    default_model: 'qwen3-coder-plus',
+    models: []
+  },
+  moonshot: {
+    label: 'Moonshot',
+    base_url: 'https://api.moonshot.ai/v1',
+    api_key_env: 'MOONSHOT_API_KEY',
+    default_model: 'kimi-k2-turbo-preview',
+    models: []
+  },
+  openai: {
+    label: 'OpenAI',
+    base_url: 'https://api.openai.com/v1',
+    base_url_env: 'OPENAI_BASE_URL',
+    api_key_env: 'OPENAI_API_KEY',
+    default_model: 'gpt-4o-mini',
+    models: []
+  }
+};
+
+const DEFAULT_ENDPOINT = {
+  provider: 'openai-compatible',
+  default_model: null,
+  models: [],
+  timeout_ms: 120000,
+  stream_usage: true
+};
+
+// Request parameters accepted from the payload (same names as the
+// Anthropic-compatible client; stop_sequences is sent as `stop`)
+const CHAT_PARAMS = ['system', 'temperature', 'top_p', 'max_tokens', 'stop_sequences'];
+
+/**
+ * Lists preset and configured endpoint names
+ *
+ * @returns {string[]} Endpoint names
+ */
+function listEndpoints() {
+  const configured = Object.keys(loadConfig().openai_endpoints || {});
+  return [...new Set([...Object.keys(OPENAI_PRESETS), ...configured])];
+}
+
+/**
+ * Resolves an endpoint definition from preset and configuration
+ *
+ * @param {string} name - Endpoint name
+ * @returns {Object|null} Endpoint ({ name, label, url (URL of chat/completions), ... },
+ *                        with `invalid_url` instead of `url` when malformed)
+ *                        or null
+ */
+function resolveEndpoint(name) {
+  const preset = OPENAI_PRESETS[name];
+  const configured = (loadConfig().openai_endpoints || {})[name];
+  if (!preset && !configured) {
+    return null;
+  }
+
+  const endpoint = {
+    ...DEFAULT_ENDPOINT,
+    label: name,
+    state_file: path.join(HOME, `.claude-openai-compatible-${name}-state.json`),
+    ...preset,
+    ...configured,
+    name
+  };
+
+  let baseUrl = endpoint.base_url;
+  if (endpoint.base_url_env && process.env[endpoint.base_url_env]) {
+    baseUrl = process.env[endpoint.base_url_env];
+  }
+  if (!baseUrl) {
+    return null;
+  }
+  endpoint.url = parseUrl(`${baseUrl.replace(/\/+$/, '')}/chat/completions`);
+  if (!endpoint.url) {
+    endpoint.invalid_url = `Endpoint '${name}' has an invalid base URL '${baseUrl}'` +
+      (endpoint.base_url_env && process.env[endpoint.base_url_env] ? ` (from $${endpoint.base_url_env}).` : '.');
+  }
+  return endpoint;
+}
+
+function requiresApiKey(endpoint) {
+  return Boolean(endpoint.api_key_file || endpoint.api_key_env || endpoint.api_key);
+}
+
+/**
+ * Picks the chat parameters from a payload
+ *
+ * @param {Object} payload - Request payload
+ * @returns {Object} Parameters that are set
+ */
+function pickChatParams(payload) {
+  const params = {};
+  for (const key of CHAT_PARAMS) {
+    if (payload[key] !== undefined) {
+      params[key] = payload[key];
+    }
+  }
+  return params;
+}
+
+/**
+ * Validates chat parameters and the model against the endpoint's model list
+ *
+ * @param {Object} endpoint - Resolved endpoint
+ * @param {string} model - Model that will be sent
+ * @param {Object} params - Parameters from pickChatParams
+ * @returns {string|null} Error message or null if valid
+ */
+function validateChatRequest(endpoint, model, params) {
+  const { system, temperature, top_p, max_tokens, stop_sequences } = params;
+
+  if (!model) {
+    return `No \`model\` given and endpoint '${endpoint.name}' has no default_model.`;
+  }
+  if (endpoint.models.length > 0 && !endpoint.models.includes(model)) {
+    return `Model '${model}' is not available on '${endpoint.name}'. Available: ${endpoint.models.join(', ')}`;
+  }
+  if (system !== undefined && typeof system !== 'string') {
+    return 'Field `system` must be a string.';
+  }
+  if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+    return 'Field `temperature` must be a number between 0 and 2.';
+  }
+  if (top_p !== undefined && (typeof top_p !== 'number' || top_p < 0 || top_p > 1)) {
+    return 'Field `top_p` must be a number between 0 and 1.';
+  }
+  if (max_tokens !== undefined && (!Number.isInteger(max_tokens) || max_tokens < 1)) {
+    return 'Field `max_tokens` must be a positive integer.';
+  }
+  if (stop_sequences !== undefined) {
+    const valid = Array.isArray(stop_sequences) && stop_sequences.length <= 4 &&
+      stop_sequences.every(seq => typeof seq === 'string' && seq.length > 0);
+    if (!valid) {
+      return 'Field `stop_sequences` must be a list of at most 4 non-empty strings.';
+    }
+  }
+  return null;
+}
+
+// Map an `error` object sent inside the stream to a run result
+function streamErrorResult(endpoint, error = {}) {
+  const detail = error.message || error.type || error.code || 'unknown error';
+  const kind = String(error.type || error.code || '');
+  if (/auth|permission|invalid_api_key/.test(kind)) {
+    return { ok: false, type: 'auth', message: `${endpoint.label} authentication failed: ${detail}` };
+  }
+  breaker.recordFailure(endpoint.state_file);
+  if (/rate_limit|quota/.test(kind)) {
+    return { ok: false, type: 'limit', message: `${endpoint.label} rate limit reached: ${detail}` };
+  }
+  if (/server|overloaded/.test(kind)) {
+    return { ok: false, type: 'server_error', message: `${endpoint.label} server error during stream: ${detail}` };
+  }
+  return { ok: false, type: 'error', message: `${endpoint.label} stream error: ${detail}` };
+}
+
+function toUsage(usage) {
+  if (!usage || !(Number.isFinite(usage.prompt_tokens) || Number.isFinite(usage.completion_tokens))) {
+    return undefined;
+  }
+  return { input_tokens: usage.prompt_tokens, output_tokens: usage.completion_tokens };
+}
+
+// Read a chat-completions SSE response (`data: {chunk}` ... `data: [DONE]`),
+// forwarding content deltas as they arrive
+function readEventStream(endpoint, res, onEvent) {
+  let output = '';
+  let model = null;
+  let finishReason = null;
+  let usage;
+  let done = false;
+  let failure = null;
+
+  const handleEvent = (name, data) => {
+    if (data.trim() === '[DONE]') {
+      done = true;
+      return;
+    }
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (err) {
+      return;
+    }
+    if (chunk.error) {
+      failure = failure || streamErrorResult(endpoint, chunk.error);
+      return;
+    }
+    model = chunk.model || model;
+    usage = toUsage(chunk.usage) || usage;
+    const choice = (chunk.choices || [])[0];
+    if (!choice) {
+      return;
+    }
+    const text = choice.delta && choice.delta.content;
+    if (text) {
+      output += text;
+      onEvent('delta', { text });
+    }
+    finishReason = choice.finish_reason || finishReason;
+  };
+
+  return readSseResponse(endpoint, res, handleEvent, () => {
+    if (failure) {
+      return failure;
+    }
+    // Some servers omit [DONE] but always send a finish_reason
+    if (!done && !finishReason) {
+      breaker.recordFailure(endpoint.state_file);
+      return {
+        ok: false,
+        type: 'server_error',
+        message: `${endpoint.label} stream ended before completion.`
+      };
+    }
+
+    breaker.recordSuccess(endpoint.state_file);
+    return buildResult(output, model, finishReason, usage);
+  });
+}
+
+/**
+ * Sends a chat-completions request
+ *
+ * With options.onEvent the request is streamed and every content delta is
+ * forwarded as it arrives.
+ *
+ * @param {Object} endpoint - Resolved endpoint
+ * @param {Object[]} messages - [{ role, content }] without the system message
+ * @param {string} model - Model to send
+ * @param {string|null} apiKey - API key (null for endpoints without key)
+ * @param {Object} options - Run options ({ onEvent })
+ * @param {Object} params - Validated chat parameters
+ * @returns {Promise<Object>} Run result
+ */
+function sendChat(endpoint, messages, model, apiKey, options = {}, params = {}) {
+  const refused = checkRequest(endpoint, apiKey, requiresApiKey(endpoint));
+  if (refused) {
+    return Promise.resolve(refused);
+  }
+
+  const streaming = typeof options.onEvent === 'function';
+  const body = {
+    model,
+    messages: params.system ? [{ role: 'system', content: params.system }, ...messages] : messages
+  };
+  for (const key of ['temperature', 'top_p', 'max_tokens']) {
+    if (params[key] !== undefined) {
+      body[key] = params[key];
+    }
+  }
+  if (params.stop_sequences) {
+    body.stop = params.stop_sequences;
+  }
+  if (streaming) {
+    body.stream = true;
+    if (endpoint.stream_usage) {
+      body.stream_options = { include_usage: true };
+    }
+  }
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  return postJson(endpoint, body, headers, {
+    authStatuses: [401, 403],
+    onStream: streaming ? (res) => readEventStream(endpoint, res, options.onEvent) : null,
+    onBody: (response) => {
+      if (response.error) {
+        return streamErrorResult(endpoint, response.error);
+      }
+      const choice = (response.choices || [])[0] || {};
+      const content = (choice.message && choice.message.content) || '';
+
+      breaker.recordSuccess(endpoint.state_file);
+      return buildResult(content, response.model, choice.finish_reason, toUsage(response.usage));
+    }
+  });
+}
+
+/**
+ * Runs one prompt against an endpoint through the request pipeline
+ *
+ * Session history is sent natively as prior messages.
+ *
+ * @param {Object} endpoint - Resolved endpoint
+ * @param {string} prompt - User prompt
+ * @param {string} model - Requested model (endpoint default when omitted)
+ * @param {string|null} apiKey - API key
+ * @param {Object} options - Run options (sessionId, onEvent, cache)
+ * @param {Object} params - Chat parameters (validated here)
+ * @returns {Promise<Object>} Run result
+ */
+async function runChat(endpoint, prompt, model, apiKey, options = {}, params = {}) {
+  const sentModel = model || endpoint.default_model;
+  const invalid = endpoint.invalid_url || validateChatRequest(endpoint, sentModel, params);
+  if (invalid) {
+    return { ok: false, type: 'invalid_request', message: invalid };
+  }
+  const settings = { endpoint: endpoint.name, ...params };
+  return runRequest({ provider: endpoint.provider, model: sentModel, prompt, settings, options, nativeHistory: true, nativeSystem: true }, (execPrompt, context) =>
+    sendChat(endpoint, [...context.history, { role: 'user', content: execPrompt }], sentModel, apiKey, options, params)
+  );
+}
+
+module.exports = {
+  OPENAI_PRESETS,
+  CHAT_PARAMS,
+  listEndpoints,
+  resolveEndpoint,
+  getEndpointApiKey,
+  pickChatParams,
+  validateChatRequest,
+  sendChat,
+  runChat
+};
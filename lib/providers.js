@@ -0,0 +1,382 @@
+/**
+ * Provider Registry
+ *
+ * Single place that knows how to reach every provider command. Each entry
+ * maps the normalized request fields onto the provider-specific run function
+ * exported by the corresponding file in commands/.
+ *
+ * Normalized request fields:
+ *   prompt  - required prompt string
+ *   model   - optional model name (provider default when omitted)
+ *   access  - "read-only" | "edit" | "full" (translated into sandbox /
+ *             approval_mode / yolo per provider)
+ *   session_id - optional chat session to continue (see lib/sessions.js)
+ *   cache   - optional response cache mode (see lib/cache.js)
+ *   system  - optional system prompt; sent natively by zai, anthropic and
+ *             openai-compatible, prepended to the prompt for the CLI providers
+ *   inject_context, task_type, context - context injector controls (see
+ *             lib/request-pipeline.js and lib/context-injector.js)
+ *   context_strategy - "reject" or "trim" for prompts larger than the
+ *             model's context window (see lib/tokens.js)
+ *   include, exclude, context_budget - project files to pack into the
+ *             context (see lib/context-packer.js)
+ *
+ * Provider-specific fields (sandbox, approval_policy, approval_mode, yolo)
+ * are passed through and take precedence over `access`. Kimi also takes a
+ * `workdir` (see lib/workdir.js), Codex a `json` flag for structured
+ * results. Codex and Gemini return the file `changes` of write-capable runs
+ * and take `revert_on_failure` (see lib/change-capture.js). Gemini also
+ * takes `files` / `directories` to inline (see lib/attachments.js). Z.ai and
+ * anthropic additionally take the Messages API parameters (system,
+ * temperature, top_p, max_tokens, stop_sequences, metadata); anthropic needs
+ * an `endpoint` name (see lib/anthropic-compatible.js). openai-compatible
+ * also needs an `endpoint` and takes system, temperature, top_p, max_tokens
+ * and stop_sequences (see lib/openai-compatible.js).
+ *
+ * Run options (second argument of runProvider):
+ *   onEvent - (event, data) callback for streaming delta/stderr events
+ */
+
+const { loadConfig } = require('./config.js');
+const { isValidCacheOption } = require('./cache.js');
+
+const ACCESS_LEVELS = ['read-only', 'edit', 'full'];
+
+const CODEX_SANDBOX = {
+  'read-only': 'read-only',
+  'edit': 'workspace-write',
+  'full': 'danger-full-access'
+};
+
+// Optional run result fields copied into the response envelope
+const ENVELOPE_EXTRAS = [
+  'account', 'accounts_tried', 'accounts_exhausted', 'session_id', 'cached', 'stop_reason', 'usage',
+  'steps', 'reasoning', 'commands', 'files_changed', 'changes', 'attachments', 'context_injection',
+  'trimmed'
+];
+
+const GEMINI_APPROVAL_MODE = {
+  'read-only': 'default',
+  'edit': 'auto_edit',
+  'full': 'yolo'
+};
+
+const PROVIDERS = {
+  codex: {
+    aliases: ['openai'],
+    command: 'openai-cli',
+    run(request, options) {
+      const { runCodex } = require('../commands/openai-cli-improved.cjs');
+      const sandbox = request.sandbox || CODEX_SANDBOX[request.access];
+      const approvalPolicy = request.approval_policy ||
+        (request.access === 'full' ? 'never' : undefined);
+      return runCodex(request.prompt, request.model, sandbox, approvalPolicy, { ...options, json: request.json, revertOnFailure: request.revert_on_failure });
+    }
+  },
+  gemini: {
+    aliases: [],
+    command: 'gemini-cli',
+    run(request, options) {
+      const { runGemini } = require('../commands/gemini-cli-improved.cjs');
+      const approvalMode = request.approval_mode || GEMINI_APPROVAL_MODE[request.access];
+      return runGemini(request.prompt, request.model, request.yolo, approvalMode, {
+        ...options,
+        revertOnFailure: request.revert_on_failure,
+        files: request.files,
+        directories: request.directories
+      });
+    }
+  },
+  kimi: {
+    aliases: ['moonshot'],
+    command: 'kimi-cli',
+    run(request, options) {
+      const { callKimiCLI, DEFAULT_MODEL } = require('../commands/kimi-cli.cjs');
+      // Same default as kimi-cli itself: read-only unless yolo is requested
+      let yolo = request.yolo === true;
+      if (request.yolo === undefined && request.access) {
+        yolo = request.access === 'full';
+      }
+      return callKimiCLI(request.prompt, request.model || DEFAULT_MODEL, yolo, { ...options, workdir: request.workdir });
+    }
+  },
+  qwen: {
+    aliases: [],
+    command: 'qwen-cli',
+    run(request, options) {
+      const { runQwen } = require('../commands/qwen-cli.cjs');
+      const approvalMode = request.approval_mode || GEMINI_APPROVAL_MODE[request.access];
+      return runQwen(request.prompt, request.model, request.yolo, approvalMode, options);
+    }
+  },
+  zai: {
+    aliases: ['glm'],
+    command: 'zai-cli',
+    run(request, options) {
+      const { makeRequest, getApiKey, pickMessageParams } = require('../commands/zai-cli.cjs');
+      return makeRequest(request.prompt, request.model, getApiKey(), options, pickMessageParams(request));
+    }
+  },
+  anthropic: {
+    aliases: ['anthropic-compatible'],
+    command: 'anthropic-cli',
+    run(request, options) {
+      const {
+        listEndpoints,
+        resolveEndpoint,
+        getEndpointApiKey,
+        pickMessageParams,
+        runMessages
+      } = require('./anthropic-compatible.js');
+      const endpoint = resolveEndpoint(request.endpoint);
+      if (!endpoint) {
+        return Promise.resolve({
+          ok: false,
+          type: 'invalid_request',
+          message: `Unknown or incomplete \`endpoint\` '${request.endpoint}'. Available: ${listEndpoints().join(', ')}`
+        });
+      }
+      return runMessages(endpoint, request.prompt, request.model, getEndpointApiKey(endpoint), options, pickMessageParams(request));
+    }
+  },
+  'openai-compatible': {
+    aliases: ['chat-completions'],
+    command: 'openai-compatible-cli',
+    run(request, options) {
+      const {
+        listEndpoints,
+        resolveEndpoint,
+        getEndpointApiKey,
+        pickChatParams,
+        runChat
+      } = require('./openai-compatible.js');
+      const endpoint = resolveEndpoint(request.endpoint);
+      if (!endpoint) {
+        return Promise.resolve({
+          ok: false,
+          type: 'invalid_request',
+          message: `Unknown or incomplete \`endpoint\` '${request.endpoint}'. Available: ${listEndpoints().join(', ')}`
+        });
+      }
+      return runChat(endpoint, request.prompt, request.model, getEndpointApiKey(endpoint), options, pickChatParams(request));
+    }
+  }
+};
+
+/**
+ * Resolves a provider name or alias to its canonical name
+ *
+ * @param {string} name - Provider name or alias (case-insensitive)
+ * @returns {string|null} Canonical provider name or null if unknown
+ */
+function resolveProvider(name) {
+  if (!name || typeof name !== 'string') {
+    return null;
+  }
+  const lower = name.toLowerCase();
+  if (PROVIDERS[lower]) {
+    return lower;
+  }
+  const match = Object.keys(PROVIDERS).find(key => PROVIDERS[key].aliases.includes(lower));
+  return match || null;
+}
+
+/**
+ * Lists all canonical provider names
+ *
+ * @returns {string[]} Provider names
+ */
+function listProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Validates a normalized request before dispatching
+ *
+ * @param {Object} request - Normalized request
+ * @returns {string|null} Error message or null if valid
+ */
+function validateRequest(request) {
+  if (!request.prompt || typeof request.prompt !== 'string') {
+    return 'Missing required field `prompt` (string).';
+  }
+  if (request.model !== undefined && typeof request.model !== 'string') {
+    return 'Field `model` must be a string.';
+  }
+  if (request.access !== undefined && !ACCESS_LEVELS.includes(request.access)) {
+    return `Field \`access\` must be one of: ${ACCESS_LEVELS.join(', ')}.`;
+  }
+  if (!isValidCacheOption(request.cache)) {
+    return 'Field `cache` must be true, false, "bypass" or "refresh".';
+  }
+  return null;
+}
+
+/**
+ * Builds the common response envelope from a provider run result
+ *
+ * @param {string} provider - Canonical provider name
+ * @param {Object} request - Normalized request
+ * @param {Object} result - Result of the provider run function ({ ok, output } or { ok, type, message })
+ * @param {number} durationMs - Wall-clock duration of the call
+ * @returns {Object} Response envelope
+ */
+function toEnvelope(provider, request, result, durationMs) {
+  const envelope = result.ok
+    ? {
+      provider,
+      model: result.model || request.model || null,
+      success: true,
+      output: result.output,
+      duration_ms: durationMs
+    }
+    : {
+      provider,
+      model: request.model || null,
+      success: false,
+      error_type: result.type,
+      retryable: result.retryable || false,
+      message: result.message,
+      duration_ms: durationMs
+    };
+
+  // Provider-specific details (e.g. the Gemini account that was used)
+  for (const key of ENVELOPE_EXTRAS) {
+    if (result[key] !== undefined) {
+      envelope[key] = result[key];
+    }
+  }
+
+  return envelope;
+}
+
+/**
+ * Runs a normalized request against a single provider
+ *
+ * @param {string} name - Provider name or alias
+ * @param {Object} request - Normalized request
+ * @param {Object} options - Run options
+ * @param {Function} options.onEvent - Streaming callback; events are stamped with the provider
+ * @returns {Promise<Object>} Response envelope
+ */
+async function runProvider(name, request, options = {}) {
+  const provider = resolveProvider(name);
+  if (!provider) {
+    return {
+      provider: name || null,
+      success: false,
+      error_type: 'invalid_provider',
+      retryable: false,
+      message: `Unknown provider '${name}'. Available: ${listProviders().join(', ')}`
+    };
+  }
+
+  const runOptions = {
+    sessionId: request.session_id,
+    cache: request.cache,
+    system: request.system,
+    injectContext: request.inject_context,
+    taskType: request.task_type,
+    context: request.context,
+    contextStrategy: request.context_strategy,
+    include: request.include,
+    exclude: request.exclude,
+    contextBudget: request.context_budget
+  };
+  if (typeof options.onEvent === 'function') {
+    runOptions.onEvent = (event, data) => options.onEvent(event, { ...data, provider });
+  }
+
+  const started = Date.now();
+  const result = await PROVIDERS[provider].run(request, runOptions);
+  return toEnvelope(provider, request, result, Date.now() - started);
+}
+
+/**
+ * Builds the ordered fallback chain for a request
+ *
+ * The primary provider always comes first, followed by the explicit chain
+ * (or the configured `fallback_chain`) without duplicates.
+ *
+ * @param {string} primary - Primary provider name or alias
+ * @param {string[]|boolean} fallback - Explicit chain, or true for the configured chain
+ * @returns {string[]} Canonical provider names (unknown names are dropped)
+ */
+function buildFallbackChain(primary, fallback) {
+  const rest = Array.isArray(fallback) ? fallback : loadConfig().fallback_chain;
+  const chain = [];
+  for (const name of [primary, ...rest]) {
+    const provider = resolveProvider(name);
+    if (provider && !chain.includes(provider)) {
+      chain.push(provider);
+    }
+  }
+  return chain;
+}
+
+/**
+ * Runs a request along a provider chain until one provider answers
+ *
+ * Only failures whose error type is listed in the configured `fallback_on`
+ * move on to the next provider; any other failure (e.g. a generic CLI
+ * error that may be caused by the prompt itself) is returned as-is.
+ * `request.model` only applies to the first provider; later providers use
+ * `request.models[provider]` or their own default.
+ *
+ * @param {string[]} chain - Canonical provider names, primary first
+ * @param {Object} request - Normalized request
+ * @param {Object} options - Run options, see runProvider
+ * @returns {Promise<Object>} Response envelope with a `fallback` report
+ */
+async function runWithFallback(chain, request, options = {}) {
+  const fallbackOn = loadConfig().fallback_on;
+  const models = request.models || {};
+  const skipped = [];
+  let response = null;
+
+  for (let i = 0; i < chain.length; i++) {
+    const provider = chain[i];
+    const model = models[provider] || (i === 0 ? request.model : undefined);
+    response = await runProvider(provider, { ...request, model }, options);
+
+    if (response.success || !fallbackOn.includes(response.error_type)) {
+      break;
+    }
+
+    skipped.push({
+      provider,
+      error_type: response.error_type,
+      message: response.message
+    });
+  }
+
+  const report = {
+    requested_provider: chain[0],
+    chain,
+    skipped
+  };
+
+  if (!response.success && skipped.length === chain.length) {
+    return {
+      provider: null,
+      success: false,
+      error_type: 'fallback_exhausted',
+      retryable: false,
+      message: `All providers in the fallback chain failed: ${skipped.map(s => `${s.provider} (${s.error_type})`).join(', ')}`,
+      fallback: report
+    };
+  }
+
+  return { ...response, fallback: report };
+}
+
+module.exports = {
+  ACCESS_LEVELS,
+  PROVIDERS,
+  resolveProvider,
+  listProviders,
+  validateRequest,
+  runProvider,
+  buildFallbackChain,
+  runWithFallback
+};
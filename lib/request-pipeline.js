@@ -0,0 +1,427 @@
+/**
+ * Request Pipeline
+ *
+ * Shared steps around a single provider request. Every provider run
+ * function passes its request to runRequest() together with an `exec`
+ * callback that performs the actual CLI or HTTP call. The direct commands,
+ * the /ask router and the fallback chain therefore all behave the same.
+ *
+ * Steps:
+ *   1. Session history (options.sessionId): replayed as transcript preamble,
+ *      or handed to exec as messages when the provider supports them
+ *      (request.nativeHistory). Successful turns are appended to the session
+ *      with request.sessionPrompt (default request.prompt).
+ *      A system prompt (options.system) is prepended via buildPrompt() unless
+ *      the provider sends it natively (request.nativeSystem).
+ *   2. Context injection (options.injectContext, default `inject_context` in
+ *      the config; options.taskType, options.context): the prompt runs
+ *      through lib/context-injector.js and the result reports what was added
+ *      as `context_injection`. Project files matching options.include (minus
+ *      options.exclude) are packed into the context within
+ *      options.contextBudget tokens (lib/context-packer.js); for
+ *      ARGV_PROVIDERS the packed text also stays within MAX_PACKED_BYTES.
+ *   3. Response cache (options.cache, see lib/cache.js): a hit skips exec
+ *      entirely and is flagged with `cached: true`. Requests marked
+ *      `cacheable: false` (runs that may write files, structured results)
+ *      neither read nor write the cache.
+ *   4. Context window (lib/tokens.js): a prompt that does not fit the
+ *      model's window minus the answer reserve fails with type "too_large",
+ *      or with options.contextStrategy "trim" (default `context_strategy`
+ *      in the config) loses lower-priority parts first; the result then
+ *      reports them as `trimmed` and is not cached. The CLI providers get
+ *      the prompt as one command-line argument (ARGV_PROVIDERS); a prompt
+ *      above MAX_ARG_BYTES fails with type "invalid_request" instead of
+ *      failing the spawn.
+ *   5. Budget caps (lib/budget.js): a provider over its daily or monthly
+ *      budget is not called; the request fails with type "budget".
+ *   6. Usage ledger (lib/usage.js): every request that reaches this step is
+ *      recorded with its outcome, duration and token counts.
+ */
+
+const {
+  isValidSessionId,
+  loadSession,
+  createSession,
+  appendTurn,
+  toApiMessages,
+  buildTranscriptPrompt
+} = require('./sessions.js');
+const {
+  isValidCacheOption,
+  resolveCacheMode,
+  cacheKey,
+  getEntry,
+  putEntry
+} = require('./cache.js');
+const { recordUsage } = require('./usage.js');
+const { checkBudget } = require('./budget.js');
+const { TASK_TYPES, buildPrompt, injectContext, packIncluded, detectTaskType } = require('./context-injector.js');
+const { validatePackOptions } = require('./context-packer.js');
+const { estimateTokens, tokensToChars, getContextWindow } = require('./tokens.js');
+const { loadConfig } = require('./config.js');
+
+const CONTEXT_STRATEGIES = ['reject', 'trim'];
+
+// Tokens kept free for the answer unless the request sets max_tokens; at
+// most a quarter of the window, so small-window models stay usable
+const DEFAULT_OUTPUT_RESERVE = 8192;
+
+// Shortened context below this many tokens is dropped instead
+const MIN_CONTEXT_TOKENS = 64;
+
+// Providers whose CLI takes the prompt as one argument; Linux caps a single
+// argument at 128KB (MAX_ARG_STRLEN, terminating NUL included)
+const ARGV_PROVIDERS = ['codex', 'gemini', 'qwen', 'kimi'];
+const MAX_ARG_BYTES = 128 * 1024 - 1;
+
+// Packed files get half of it; rules, history and the prompt share the rest
+const MAX_PACKED_BYTES = 64 * 1024;
+
+// Validates the injector fields; returns an error message or null
+function validateInjectionOptions(options) {
+  if (options.injectContext !== undefined && typeof options.injectContext !== 'boolean') {
+    return 'Field `inject_context` must be a boolean.';
+  }
+  if (options.taskType !== undefined && !TASK_TYPES.includes(options.taskType)) {
+    return `Field \`task_type\` must be one of: ${TASK_TYPES.join(', ')}.`;
+  }
+  if (options.context !== undefined && typeof options.context !== 'string') {
+    return 'Field `context` must be a string.';
+  }
+  if (options.contextStrategy !== undefined && !CONTEXT_STRATEGIES.includes(options.contextStrategy)) {
+    return `Field \`context_strategy\` must be one of: ${CONTEXT_STRATEGIES.join(', ')}.`;
+  }
+  return validatePackOptions({ include: options.include, exclude: options.exclude, budget: options.contextBudget });
+}
+
+// Request value, else the configured default for the provider
+function shouldInjectContext(provider, options) {
+  if (options.injectContext !== undefined) {
+    return options.injectContext;
+  }
+  const configured = loadConfig().inject_context;
+  return typeof configured === 'boolean' ? configured : Boolean(configured && configured[provider] === true);
+}
+
+/**
+ * Builds what is sent to the provider from the prompt parts
+ *
+ * @param {Object} request - Pipeline request
+ * @param {Object} parts - { history, includeRules, taskType, context, system, rulesPath }
+ * @returns {Object} { execPrompt, messages, injection, sentText }
+ */
+function composePrompt(request, parts) {
+  const { provider, model, prompt, nativeHistory } = request;
+  let execPrompt = nativeHistory ? prompt : buildTranscriptPrompt(parts.history, prompt);
+  let injection = null;
+  if (parts.includeRules || parts.context) {
+    injection = injectContext(execPrompt, {
+      includeRules: parts.includeRules,
+      taskType: parts.taskType,
+      context: parts.context,
+      system: parts.system,
+      rulesPath: parts.rulesPath,
+      provider,
+      model
+    });
+    execPrompt = injection.prompt;
+  } else if (parts.system) {
+    execPrompt = buildPrompt(execPrompt, { system: parts.system, includeRules: false });
+  }
+
+  const messages = toApiMessages(parts.history);
+  const sentText = nativeHistory
+    ? [...messages.map(m => m.content), execPrompt].join('\n')
+    : execPrompt;
+  return { execPrompt, messages, injection, sentText };
+}
+
+/**
+ * Checks a composed prompt against the model's context window
+ *
+ * With the "trim" strategy lower-priority parts go first until the prompt
+ * fits: the additional context is shortened (or dropped), then CORE_RULES
+ * are dropped, then the oldest session turns. The task itself is never
+ * trimmed.
+ *
+ * @param {Object} request - Pipeline request
+ * @param {Object} parts - Prompt parts (see composePrompt) plus systemTokens
+ *                         for a natively sent system prompt
+ * @param {Object} composed - composePrompt(request, parts)
+ * @param {string} strategy - "reject" or "trim"
+ * @returns {Object} { ok: true, composed, trimmed } or a too_large error
+ */
+function fitContextWindow(request, parts, composed, strategy) {
+  const { provider, model } = request;
+  const window = getContextWindow(provider, model);
+  const reserve = request.settings && Number.isInteger(request.settings.max_tokens)
+    ? request.settings.max_tokens
+    : Math.min(DEFAULT_OUTPUT_RESERVE, Math.floor(window / 4));
+  const limit = Math.max(0, window - reserve);
+  const measure = (candidate) => estimateTokens(candidate.sentText, provider, model) + parts.systemTokens;
+
+  const before = measure(composed);
+  if (before <= limit) {
+    return { ok: true, composed, trimmed: null };
+  }
+  const tooLarge = (tokens, hint) => ({
+    ok: false,
+    type: 'too_large',
+    retryable: false,
+    message: `Prompt is about ${tokens} tokens, but ${provider}${model ? ` (${model})` : ''} accepts about ${limit} ` +
+      `(context window ${window} minus ${reserve} reserved for the answer). ${hint}`
+  });
+  if (strategy !== 'trim') {
+    return tooLarge(before, 'Shorten the prompt or set `context_strategy: "trim"`.');
+  }
+
+  const dropped = [];
+  let current = { ...parts };
+  let tokens = before;
+  const apply = (next, entry) => {
+    const candidate = composePrompt(request, next);
+    const candidateTokens = measure(candidate);
+    dropped.push({ ...entry, tokens_removed: tokens - candidateTokens });
+    current = next;
+    composed = candidate;
+    tokens = candidateTokens;
+  };
+
+  if (current.context) {
+    const without = measure(composePrompt(request, { ...current, context: undefined }));
+    // Leave room for the section header and the truncation marker
+    const available = limit - without - 16;
+    const shortened = available >= MIN_CONTEXT_TOKENS
+      ? `${current.context.slice(0, tokensToChars(available, provider, model))}\n[... context truncated]`
+      : null;
+    if (shortened && measure(composePrompt(request, { ...current, context: shortened })) <= limit) {
+      apply({ ...current, context: shortened }, { section: 'context', action: 'truncated' });
+    } else {
+      apply({ ...current, context: undefined }, { section: 'context', action: 'dropped' });
+    }
+  }
+
+  if (tokens > limit && composed.injection && composed.injection.report.rules_tokens > 0) {
+    apply({ ...current, includeRules: false }, { section: 'rules', action: 'dropped' });
+  }
+
+  if (tokens > limit && current.history.length > 0) {
+    const startTokens = tokens;
+    let history = current.history;
+    let turns = 0;
+    while (tokens > limit && history.length > 0) {
+      // One turn is a user message and the answer to it
+      history = history.slice(history.length > 1 ? 2 : 1);
+      turns++;
+      current = { ...current, history };
+      composed = composePrompt(request, current);
+      tokens = measure(composed);
+    }
+    dropped.push({ section: 'history', action: 'dropped', turns, tokens_removed: startTokens - tokens });
+  }
+
+  if (tokens > limit) {
+    return tooLarge(tokens, 'Trimming context, rules and history was not enough; shorten the prompt.');
+  }
+  return {
+    ok: true,
+    composed,
+    trimmed: { strategy, limit, tokens_before: before, tokens_after: tokens, dropped }
+  };
+}
+
+/**
+ * Builds the ledger record for one request
+ *
+ * Real token counts are used when exec returns `usage`
+ * ({ input_tokens, output_tokens }), otherwise both sides are estimated.
+ * Only answered requests carry tokens.
+ *
+ * @param {Object} request - Pipeline request
+ * @param {Object} result - Run result
+ * @param {string} sentText - Everything sent to the provider
+ * @param {number} durationMs - Duration of the request
+ * @returns {Object} Usage record
+ */
+function buildUsageRecord(request, result, sentText, durationMs) {
+  const record = {
+    provider: request.provider,
+    model: result.model || request.model || null,
+    outcome: result.ok ? 'success' : result.type,
+    input_tokens: 0,
+    output_tokens: 0,
+    estimated: false,
+    duration_ms: durationMs
+  };
+
+  if (result.cached) {
+    record.cached = true;
+  } else if (result.ok) {
+    const usage = result.usage || {};
+    const real = Number.isFinite(usage.input_tokens) && Number.isFinite(usage.output_tokens);
+    record.input_tokens = real ? usage.input_tokens : estimateTokens(sentText, request.provider, record.model);
+    record.output_tokens = real ? usage.output_tokens : estimateTokens(result.output || '', request.provider, record.model);
+    record.estimated = !real;
+  }
+
+  if (result.account) {
+    record.account = result.account;
+  }
+  return record;
+}
+
+/**
+ * Runs one provider request through the shared pipeline steps
+ *
+ * @param {Object} request - Request description
+ * @param {string} request.provider - Canonical provider name
+ * @param {string} request.model - Requested model (may be undefined)
+ * @param {string} request.prompt - User prompt
+ * @param {string} request.sessionPrompt - Prompt stored in the session and used to
+ *                                         detect the task type (default request.prompt)
+ * @param {boolean} request.nativeHistory - Provider accepts history as messages
+ * @param {boolean} request.nativeSystem - Provider sends the system prompt itself
+ * @param {Object} request.settings - Provider settings that shape the answer (part of the cache key)
+ * @param {boolean} request.cacheable - false keeps the request out of the cache (default true)
+ * @param {Object} request.options - Run options of the provider (sessionId, onEvent, cache, system, ...)
+ * @param {Function} exec - (prompt, context) => Promise<result>; context.history holds
+ *                          prior messages as [{ role, content }]
+ * @returns {Promise<Object>} Run result ({ ok, output } or { ok, type, message })
+ */
+async function runRequest(request, exec) {
+  const { provider, model, prompt, nativeHistory, nativeSystem } = request;
+  const sessionPrompt = request.sessionPrompt || prompt;
+  const options = request.options || {};
+  const system = nativeSystem ? undefined : options.system;
+
+  if (!isValidCacheOption(options.cache)) {
+    return {
+      ok: false,
+      type: 'invalid_request',
+      message: 'Field `cache` must be true, false, "bypass" or "refresh".'
+    };
+  }
+  if (system !== undefined && typeof system !== 'string') {
+    return { ok: false, type: 'invalid_request', message: 'Field `system` must be a string.' };
+  }
+  const invalidInjection = validateInjectionOptions(options);
+  if (invalidInjection) {
+    return { ok: false, type: 'invalid_request', message: invalidInjection };
+  }
+
+  let session = null;
+  if (options.sessionId !== undefined && options.sessionId !== null) {
+    if (!isValidSessionId(options.sessionId)) {
+      return {
+        ok: false,
+        type: 'invalid_request',
+        message: 'Invalid `session_id`. Use 1-64 characters: letters, digits, "_", "-" or ".".'
+      };
+    }
+    session = loadSession(options.sessionId) || createSession(options.sessionId);
+  }
+
+  // Packed once; trimming only shortens the combined context
+  const { context, packed } = packIncluded({
+    context: options.context,
+    include: options.include,
+    exclude: options.exclude,
+    budget: options.contextBudget,
+    maxBytes: ARGV_PROVIDERS.includes(provider) ? MAX_PACKED_BYTES : undefined,
+    provider,
+    model
+  });
+
+  const parts = {
+    history: session ? session.messages : [],
+    includeRules: shouldInjectContext(provider, options),
+    // Detect the task type from the user's prompt, not the transcript
+    taskType: options.taskType || detectTaskType(sessionPrompt),
+    context: context || undefined,
+    system,
+    rulesPath: loadConfig().core_rules_path,
+    systemTokens: nativeSystem && typeof options.system === 'string' ? estimateTokens(options.system, provider, model) : 0
+  };
+  let composed = composePrompt(request, parts);
+
+  const cacheMode = request.cacheable === false ? { read: false, write: false } : resolveCacheMode(options.cache);
+  const injectionSettings = composed.injection
+    ? { inject_context: parts.includeRules, task_type: parts.taskType, context: parts.context }
+    : {};
+  const key = cacheMode.read || cacheMode.write
+    ? cacheKey({ provider, model, prompt, history: composed.messages, settings: { ...request.settings, system, ...injectionSettings } })
+    : null;
+
+  const started = Date.now();
+  let result = null;
+  let trimmed = null;
+  const hit = cacheMode.read ? getEntry(key) : null;
+  if (hit) {
+    result = { ok: true, output: hit.output, model: hit.model || undefined, cached: true };
+    if (typeof options.onEvent === 'function') {
+      options.onEvent('delta', { text: hit.output });
+    }
+  } else {
+    const fitted = fitContextWindow(request, parts, composed, options.contextStrategy || loadConfig().context_strategy || 'reject');
+    if (!fitted.ok) {
+      return { ...fitted, ...(session ? { session_id: session.id } : {}) };
+    }
+    composed = fitted.composed;
+    trimmed = fitted.trimmed;
+
+    const bytes = Buffer.byteLength(composed.execPrompt);
+    if (ARGV_PROVIDERS.includes(provider) && bytes > MAX_ARG_BYTES) {
+      return {
+        ok: false,
+        type: 'invalid_request',
+        message: `Prompt is ${bytes} bytes, but ${provider} takes it as a command-line argument of at most ` +
+          `${MAX_ARG_BYTES} bytes. Attach fewer files or shorten the prompt or context.`,
+        ...(session ? { session_id: session.id } : {})
+      };
+    }
+
+    const exceeded = checkBudget(provider, estimateTokens(composed.sentText, provider, model));
+    if (exceeded) {
+      return {
+        ok: false,
+        type: 'budget',
+        message: `${exceeded.period === 'daily' ? 'Daily' : 'Monthly'} ${exceeded.metric} budget for ${provider} ` +
+          `reached (${exceeded.used}/${exceeded.limit}). Resets at ${exceeded.resets}.`,
+        ...(session ? { session_id: session.id } : {})
+      };
+    }
+
+    result = await exec(composed.execPrompt, { history: composed.messages });
+    // An answer to a trimmed prompt is not the answer to the full request
+    if (result.ok && cacheMode.write && !trimmed) {
+      putEntry(key, { provider, model: result.model || model || null, output: result.output });
+    }
+  }
+
+  recordUsage(buildUsageRecord(request, result, composed.sentText, Date.now() - started));
+  if (composed.injection || packed) {
+    const report = composed.injection ? composed.injection.report : {};
+    result = { ...result, context_injection: packed ? { ...report, packed: packed.report } : report };
+  }
+  if (trimmed) {
+    result = { ...result, trimmed };
+  }
+
+  if (!session) {
+    return result;
+  }
+
+  if (result.ok) {
+    appendTurn(session, {
+      provider,
+      model: result.model || model,
+      prompt: sessionPrompt,
+      output: result.output
+    });
+  }
+  return { ...result, session_id: session.id };
+}
+
+module.exports = {
+  runRequest
+};
@@ -0,0 +1,231 @@
+/**
+ * Chat Sessions
+ *
+ * Persists multi-turn conversations on disk so that every provider command
+ * can continue a conversation via `session_id`. Each session is one JSON
+ * file in ~/.claude/multi_provider_sessions/:
+ *
+ *   {
+ *     "id": "review-42",
+ *     "created": "...", "updated": "...",
+ *     "forked_from": null,
+ *     "messages": [
+ *       { "role": "user", "content": "...", "ts": "..." },
+ *       { "role": "assistant", "content": "...", "provider": "zai", "model": "...", "ts": "..." }
+ *     ]
+ *   }
+ *
+ * Sessions are provider-independent: a conversation started with Gemini can
+ * be continued with Z.ai. Providers with a native message API receive the
+ * history as messages, CLI providers get it as a transcript preamble.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SESSIONS_DIR = path.join(process.env.HOME || '/tmp', '.claude', 'multi_provider_sessions');
+
+// Session ids become file names, so keep them to a safe character set
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+/**
+ * Checks whether a session id is usable as file name
+ *
+ * @param {string} id - Session id
+ * @returns {boolean} True if valid
+ */
+function isValidSessionId(id) {
+  return typeof id === 'string' && SESSION_ID_PATTERN.test(id) && !id.startsWith('.');
+}
+
+function sessionPath(id) {
+  return path.join(SESSIONS_DIR, `${id}.json`);
+}
+
+/**
+ * Generates a new random session id
+ *
+ * @returns {string} Session id
+ */
+function generateSessionId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+/**
+ * Loads a session from disk
+ *
+ * @param {string} id - Session id
+ * @returns {Object|null} Session or null if it does not exist
+ */
+function loadSession(id) {
+  if (!isValidSessionId(id)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(sessionPath(id), 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Writes a session to disk
+ *
+ * @param {Object} session - Session object
+ */
+function saveSession(session) {
+  fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+  session.updated = new Date().toISOString();
+  fs.writeFileSync(sessionPath(session.id), JSON.stringify(session, null, 2));
+}
+
+/**
+ * Creates a new, empty session (not yet written to disk)
+ *
+ * @param {string} id - Session id
+ * @param {Object} fields - Additional fields (e.g. forked_from)
+ * @returns {Object} Session
+ */
+function createSession(id, fields = {}) {
+  const now = new Date().toISOString();
+  return {
+    id,
+    created: now,
+    updated: now,
+    forked_from: null,
+    messages: [],
+    ...fields
+  };
+}
+
+/**
+ * Appends one user/assistant exchange to a session and saves it
+ *
+ * @param {Object} session - Session object
+ * @param {Object} turn - { provider, model, prompt, output }
+ */
+function appendTurn(session, turn) {
+  const ts = new Date().toISOString();
+  session.messages.push({ role: 'user', content: turn.prompt, ts });
+  session.messages.push({
+    role: 'assistant',
+    content: turn.output,
+    provider: turn.provider,
+    model: turn.model || null,
+    ts
+  });
+  saveSession(session);
+}
+
+/**
+ * Lists all sessions with a short summary
+ *
+ * @returns {Object[]} Session summaries, most recently updated first
+ */
+function listSessions() {
+  if (!fs.existsSync(SESSIONS_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(SESSIONS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => loadSession(file.slice(0, -'.json'.length)))
+    .filter(Boolean)
+    .map(session => ({
+      id: session.id,
+      created: session.created,
+      updated: session.updated,
+      forked_from: session.forked_from,
+      turns: Math.floor(session.messages.length / 2),
+      providers: [...new Set(session.messages.filter(m => m.provider).map(m => m.provider))]
+    }))
+    .sort((a, b) => b.updated.localeCompare(a.updated));
+}
+
+/**
+ * Copies a session into a new one, optionally only the first N turns
+ *
+ * @param {string} id - Source session id
+ * @param {string} newId - Target session id (generated when omitted)
+ * @param {number} turns - Number of turns to keep (all when omitted)
+ * @returns {Object|null} New session, or null if the source does not exist
+ */
+function forkSession(id, newId, turns) {
+  const source = loadSession(id);
+  if (!source) {
+    return null;
+  }
+  const messages = Number.isInteger(turns) ? source.messages.slice(0, turns * 2) : source.messages;
+  const fork = createSession(newId || generateSessionId(), {
+    forked_from: id,
+    messages: messages.map(message => ({ ...message }))
+  });
+  saveSession(fork);
+  return fork;
+}
+
+/**
+ * Deletes a session
+ *
+ * @param {string} id - Session id
+ * @returns {boolean} True if a session was deleted
+ */
+function deleteSession(id) {
+  if (!isValidSessionId(id) || !fs.existsSync(sessionPath(id))) {
+    return false;
+  }
+  fs.unlinkSync(sessionPath(id));
+  return true;
+}
+
+/**
+ * Converts session messages into plain role/content messages for
+ * providers with a native message API
+ *
+ * @param {Object[]} messages - Session messages
+ * @returns {Object[]} [{ role, content }]
+ */
+function toApiMessages(messages) {
+  return messages.map(({ role, content }) => ({ role, content }));
+}
+
+/**
+ * Prepends the conversation history as a transcript for CLI providers
+ * that only accept a single prompt
+ *
+ * @param {Object[]} messages - Session messages
+ * @param {string} prompt - Current user prompt
+ * @returns {string} Prompt with transcript preamble (unchanged without history)
+ */
+function buildTranscriptPrompt(messages, prompt) {
+  if (!messages || messages.length === 0) {
+    return prompt;
+  }
+
+  const parts = ['# Conversation so far\n\n'];
+  for (const message of messages) {
+    const speaker = message.role === 'user'
+      ? 'User'
+      : `Assistant${message.provider ? ` (${message.provider})` : ''}`;
+    parts.push(`## ${speaker}\n${message.content}\n\n`);
+  }
+  parts.push('# Current message\n');
+  parts.push(prompt);
+
+  return parts.join('');
+}
+
+module.exports = {
+  SESSIONS_DIR,
+  isValidSessionId,
+  generateSessionId,
+  loadSession,
+  saveSession,
+  createSession,
+  appendTurn,
+  listSessions,
+  forkSession,
+  deleteSession,
+  toApiMessages,
+  buildTranscriptPrompt
+};
@@ -0,0 +1,186 @@
+/**
+ * NDJSON Event Stream
+ *
+ * Streaming output mode for the provider commands (`stream: true`).
+ * Instead of one JSON blob at the end, one JSON object per line is written
+ * to stdout as the CLI or HTTP response progresses:
+ *
+ *   {"event":"start","provider":"codex","model":"..."}
+ *   {"event":"delta","provider":"codex","text":"..."}     (stdout chunk)
+ *   {"event":"stderr","provider":"codex","text":"..."}    (stderr chunk)
+ *   {"event":"done","provider":"codex","success":true,...}   (final response)
+ *   {"event":"error","provider":"codex","success":false,...} (final response)
+ *
+ * The terminal `done` / `error` event carries exactly the fields of the
+ * non-streaming response, so `output` always holds the complete text.
+ *
+ * CLIs with a JSON output mode (one JSON object per line) do not forward raw
+ * stdout; they emit `delta` events for the parsed text and may add events
+ * for agent steps (Kimi: `tool_call` / `tool_result`; Codex: `reasoning`,
+ * `command`, `file_change`).
+ *
+ * HTTP providers receive their answer as server-sent events; createSseParser
+ * splits such a response body into events. createLineParser does the same
+ * for line-delimited CLI output.
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Creates an event stream and emits the `start` event
+ *
+ * @param {string} provider - Provider name stamped on every event
+ * @param {Object} meta - Additional fields for the `start` event
+ * @param {Object} out - Writable stream (default: process.stdout)
+ * @returns {Object} { emit(event, data), end(response) }
+ */
+function createEventStream(provider, meta = {}, out = process.stdout) {
+  function emit(event, data = {}) {
+    out.write(JSON.stringify({ event, provider, ...data }) + '\n');
+  }
+
+  emit('start', meta);
+
+  return {
+    emit,
+    end(response) {
+      emit(response.success ? 'done' : 'error', response);
+    }
+  };
+}
+
+/**
+ * Writes the final response either as terminal stream event or as the
+ * classic pretty-printed JSON document
+ *
+ * @param {Object} response - Response object
+ * @param {Object|null} events - Event stream from createEventStream, or null
+ */
+function writeResponse(response, events) {
+  if (events) {
+    events.end(response);
+  } else {
+    process.stdout.write(JSON.stringify(response, null, 2));
+  }
+}
+
+/**
+ * Forwards stdout/stderr chunks of a child process as delta/stderr events
+ *
+ * @param {ChildProcess} child - Spawned child process
+ * @param {Function|null} onEvent - Event callback (event, data), no-op when null
+ * @param {Object} options - { stdout: false } when stdout is parsed and
+ *                           forwarded by the caller (JSON output modes)
+ */
+function forwardChildOutput(child, onEvent, options = {}) {
+  if (typeof onEvent !== 'function') {
+    return;
+  }
+  if (options.stdout !== false) {
+    child.stdout.on('data', (chunk) => onEvent('delta', { text: chunk.toString() }));
+  }
+  child.stderr.on('data', (chunk) => onEvent('stderr', { text: chunk.toString() }));
+}
+
+/**
+ * Creates an incremental parser for a server-sent-events body
+ *
+ * Chunks may split lines, events and multi-byte characters anywhere. Each
+ * complete event is passed to the handler with its `event:` name (default
+ * "message") and the joined `data:` lines. Comment lines (":") and `id:` /
+ * `retry:` fields are ignored.
+ *
+ * @param {Function} onSseEvent - (name, data) callback
+ * @returns {Object} { push(chunk), end() }
+ */
+function createSseParser(onSseEvent) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let name = null;
+  let data = [];
+
+  function dispatch() {
+    if (data.length > 0) {
+      onSseEvent(name || 'message', data.join('\n'));
+    }
+    name = null;
+    data = [];
+  }
+
+  function processLine(line) {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) {
+      return;
+    }
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+    if (field === 'event') {
+      name = value;
+    } else if (field === 'data') {
+      data.push(value);
+    }
+  }
+
+  return {
+    push(chunk) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+      // A trailing "\r" may be the first half of "\r\n", keep it buffered
+      const lines = buffer.split(/\r\n|\r(?!$)|\n/);
+      buffer = lines.pop();
+      lines.forEach(processLine);
+    },
+    end() {
+      buffer += decoder.end();
+      if (buffer) {
+        processLine(buffer.replace(/\r$/, ''));
+        buffer = '';
+      }
+      dispatch();
+    }
+  };
+}
+
+/**
+ * Creates an incremental line splitter for line-delimited output (JSONL)
+ *
+ * Chunks may split lines and multi-byte characters anywhere. Every complete
+ * line is passed to the handler without its line terminator.
+ *
+ * @param {Function} onLine - (line) callback
+ * @returns {Object} { push(chunk), end() }
+ */
+function createLineParser(onLine) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  return {
+    push(chunk) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(line => onLine(line.replace(/\r$/, '')));
+    },
+    end() {
+      buffer += decoder.end();
+      if (buffer) {
+        onLine(buffer.replace(/\r$/, ''));
+        buffer = '';
+      }
+    }
+  };
+}
+
+module.exports = {
+  createEventStream,
+  writeResponse,
+  forwardChildOutput,
+  createSseParser,
+  createLineParser
+};
@@ -0,0 +1,163 @@
+/**
+ * Token Estimates and Context Windows
+ *
+ * Providers tokenize differently, so estimates use a per-tokenizer profile:
+ * characters per token for Latin script and code, and tokens per CJK
+ * character (the Chinese-trained tokenizers of GLM, Qwen and Kimi encode
+ * those far more compactly). The profile comes from the provider for the
+ * fixed CLI / API providers and from the model name for the generic
+ * anthropic and openai-compatible endpoints. All numbers are estimates.
+ *
+ * Context windows are looked up per model (CONTEXT_WINDOWS), then per
+ * provider (PROVIDER_WINDOWS). Both can be overridden in
+ * ~/.claude/multi_provider_config.json, keyed by provider or
+ * "provider/model":
+ *
+ *   "context_windows": { "gemini": 1000000, "kimi/kimi-latest": 131072 }
+ */
+
+const { loadConfig } = require('./config.js');
+
+const TOKEN_PROFILES = {
+  openai: { charsPerToken: 4, tokensPerCjk: 1 },
+  gemini: { charsPerToken: 4, tokensPerCjk: 0.9 },
+  anthropic: { charsPerToken: 3.5, tokensPerCjk: 1.2 },
+  glm: { charsPerToken: 3.8, tokensPerCjk: 0.7 },
+  qwen: { charsPerToken: 3.8, tokensPerCjk: 0.7 },
+  kimi: { charsPerToken: 3.8, tokensPerCjk: 0.7 },
+  default: { charsPerToken: 4, tokensPerCjk: 1 }
+};
+
+// Providers bound to one model family (Z.ai maps Claude model names to GLM)
+const PROVIDER_TOKENIZERS = {
+  codex: 'openai',
+  gemini: 'gemini',
+  zai: 'glm',
+  qwen: 'qwen',
+  kimi: 'kimi'
+};
+
+const MODEL_TOKENIZERS = [
+  [/^(gpt-|o\d|codex)/, 'openai'],
+  [/^gemini/, 'gemini'],
+  [/^claude/, 'anthropic'],
+  [/^glm/, 'glm'],
+  [/^qwen/, 'qwen'],
+  [/^(kimi|moonshot)/, 'kimi']
+];
+
+// First match wins; `provider` limits an entry to one provider
+const CONTEXT_WINDOWS = [
+  { provider: 'zai', pattern: /haiku|air/, tokens: 128000 },
+  { pattern: /^gpt-5/, tokens: 400000 },
+  { pattern: /^gpt-4\.1/, tokens: 1047576 },
+  { pattern: /^gpt-4o/, tokens: 128000 },
+  { pattern: /^o\d/, tokens: 200000 },
+  { pattern: /^gemini/, tokens: 1048576 },
+  { pattern: /^claude/, tokens: 200000 },
+  { pattern: /^glm-4\.[67]/, tokens: 200000 },
+  { pattern: /^glm/, tokens: 128000 },
+  { pattern: /^qwen3-coder/, tokens: 1048576 },
+  { pattern: /^qwen/, tokens: 262144 },
+  { pattern: /^kimi-k2/, tokens: 262144 },
+  { pattern: /^kimi/, tokens: 131072 },
+  { pattern: /^moonshot-v1-8k/, tokens: 8192 },
+  { pattern: /^moonshot-v1-32k/, tokens: 32768 },
+  { pattern: /^moonshot/, tokens: 131072 }
+];
+
+// Windows of the providers' default models
+const PROVIDER_WINDOWS = {
+  codex: 400000,
+  gemini: 1048576,
+  kimi: 131072,
+  qwen: 1048576,
+  zai: 200000,
+  anthropic: 200000,
+  'openai-compatible': 128000
+};
+
+const DEFAULT_WINDOW = 128000;
+
+// Han, Hiragana/Katakana and Hangul
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+
+/**
+ * Picks the tokenizer profile for a provider and model
+ *
+ * @param {string} provider - Canonical provider name
+ * @param {string} model - Model name (may be undefined)
+ * @returns {string} Key of TOKEN_PROFILES
+ */
+function getTokenizer(provider, model) {
+  if (PROVIDER_TOKENIZERS[provider]) {
+    return PROVIDER_TOKENIZERS[provider];
+  }
+  const name = String(model || '').toLowerCase();
+  const match = MODEL_TOKENIZERS.find(([pattern]) => pattern.test(name));
+  return match ? match[1] : 'default';
+}
+
+/**
+ * Estimates the token count of a text for a provider and model
+ *
+ * @param {string} text - Text to estimate
+ * @param {string} provider - Canonical provider name (optional)
+ * @param {string} model - Model name (optional)
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text, provider, model) {
+  if (!text) {
+    return 0;
+  }
+  const profile = TOKEN_PROFILES[getTokenizer(provider, model)];
+  const cjk = (text.match(CJK_PATTERN) || []).length;
+  return Math.ceil((text.length - cjk) / profile.charsPerToken + cjk * profile.tokensPerCjk);
+}
+
+/**
+ * Approximate number of characters that make up a token count (for
+ * truncating text to a budget)
+ *
+ * @param {number} tokens - Token budget
+ * @param {string} provider - Canonical provider name
+ * @param {string} model - Model name
+ * @returns {number} Characters
+ */
+function tokensToChars(tokens, provider, model) {
+  return Math.max(0, Math.floor(tokens * TOKEN_PROFILES[getTokenizer(provider, model)].charsPerToken));
+}
+
+/**
+ * Looks up the context window of a model
+ *
+ * @param {string} provider - Canonical provider name
+ * @param {string} model - Model name (provider default when omitted)
+ * @returns {number} Window size in tokens
+ */
+function getContextWindow(provider, model) {
+  const configured = loadConfig().context_windows || {};
+  if (model && Number.isInteger(configured[`${provider}/${model}`])) {
+    return configured[`${provider}/${model}`];
+  }
+  if (Number.isInteger(configured[provider])) {
+    return configured[provider];
+  }
+
+  const name = String(model || '').toLowerCase();
+  if (name) {
+    const entry = CONTEXT_WINDOWS.find(e => (!e.provider || e.provider === provider) && e.pattern.test(name));
+    if (entry) {
+      return entry.tokens;
+    }
+  }
+  return PROVIDER_WINDOWS[provider] || DEFAULT_WINDOW;
+}
+
+module.exports = {
+  TOKEN_PROFILES,
+  getTokenizer,
+  estimateTokens,
+  tokensToChars,
+  getContextWindow
+};
@@ -0,0 +1,174 @@
+/**
+ * Usage Ledger
+ *
+ * Append-only record of every provider request, one JSON object per line
+ * in ~/.claude/multi_provider_usage.jsonl:
+ *
+ *   {"ts":"...","provider":"zai","model":"glm-4.7","outcome":"success",
+ *    "input_tokens":812,"output_tokens":240,"estimated":false,"duration_ms":3120}
+ *
+ * `outcome` is "success" or the error type of a failed request. Token counts
+ * are the provider's own numbers when it returns them, otherwise estimates
+ * (estimateTokens) flagged with `estimated: true`. Cache hits are recorded
+ * with `cached: true` and no tokens, since they never reach the provider.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LEDGER_FILE = path.join(process.env.HOME || '/tmp', '.claude', 'multi_provider_usage.jsonl');
+
+const GROUP_FIELDS = ['day', 'provider', 'model'];
+
+/**
+ * Appends one record to the ledger
+ *
+ * Failures to write are reported on stderr but never fail the request.
+ *
+ * @param {Object} record - Usage record without timestamp
+ */
+function recordUsage(record) {
+  const line = JSON.stringify({ ts: new Date().toISOString(), ...record });
+  try {
+    fs.mkdirSync(path.dirname(LEDGER_FILE), { recursive: true });
+    fs.appendFileSync(LEDGER_FILE, line + '\n');
+  } catch (err) {
+    console.error(`Warning: Could not write usage ledger: ${err.message}`);
+  }
+}
+
+/**
+ * Reads ledger records, optionally limited to a date range
+ *
+ * Broken lines (e.g. from an interrupted write) are skipped.
+ *
+ * @param {Object} filter - { from, to } as YYYY-MM-DD (inclusive), { provider }
+ * @returns {Object[]} Records in file order
+ */
+function readLedger(filter = {}) {
+  let content;
+  try {
+    content = fs.readFileSync(LEDGER_FILE, 'utf8');
+  } catch (err) {
+    return [];
+  }
+
+  const records = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      continue;
+    }
+    const day = String(record.ts || '').slice(0, 10);
+    if (filter.from && day < filter.from) continue;
+    if (filter.to && day > filter.to) continue;
+    if (filter.provider && record.provider !== filter.provider) continue;
+    records.push(record);
+  }
+  return records;
+}
+
+function emptyTotals() {
+  return {
+    requests: 0,
+    successes: 0,
+    failures: 0,
+    cached: 0,
+    input_tokens: 0,
+    output_tokens: 0,
+    duration_ms: 0
+  };
+}
+
+function addRecord(totals, record) {
+  totals.requests++;
+  if (record.cached) {
+    totals.cached++;
+  } else if (record.outcome === 'success') {
+    totals.successes++;
+  } else {
+    totals.failures++;
+  }
+  totals.input_tokens += record.input_tokens || 0;
+  totals.output_tokens += record.output_tokens || 0;
+  totals.duration_ms += record.duration_ms || 0;
+}
+
+/**
+ * Aggregates records by the given fields
+ *
+ * @param {Object[]} records - Ledger records
+ * @param {string[]} groupBy - Subset of GROUP_FIELDS
+ * @returns {Object} { rows, totals }; rows are sorted by their group values
+ */
+function aggregateUsage(records, groupBy = GROUP_FIELDS) {
+  const groups = new Map();
+  const totals = emptyTotals();
+
+  for (const record of records) {
+    const values = {
+      day: String(record.ts || '').slice(0, 10),
+      provider: record.provider || 'unknown',
+      model: record.model || 'default'
+    };
+    const key = groupBy.map(field => values[field]).join('\u0000');
+    if (!groups.has(key)) {
+      const row = {};
+      for (const field of groupBy) {
+        row[field] = values[field];
+      }
+      groups.set(key, { ...row, ...emptyTotals() });
+    }
+    addRecord(groups.get(key), record);
+    addRecord(totals, record);
+  }
+
+  const rows = [...groups.entries()]
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([, row]) => row);
+  return { rows, totals };
+}
+
+/**
+ * Renders aggregated rows as a plain-text table
+ *
+ * @param {Object[]} rows - Aggregated rows
+ * @param {Object} totals - Overall totals
+ * @param {string[]} groupBy - Group columns shown first
+ * @returns {string} Table
+ */
+function formatTable(rows, totals, groupBy = GROUP_FIELDS) {
+  const columns = [...groupBy, ...Object.keys(emptyTotals())];
+  const totalRow = { ...totals };
+  if (groupBy.length > 0) {
+    totalRow[groupBy[0]] = 'TOTAL';
+  }
+  const body = [...rows, totalRow].map(row => columns.map(col => (row[col] === undefined ? '' : String(row[col]))));
+  const widths = columns.map((col, i) => Math.max(col.length, ...body.map(cells => cells[i].length)));
+  const numeric = columns.map(col => !groupBy.includes(col));
+
+  const render = cells => cells
+    .map((cell, i) => (numeric[i] ? cell.padStart(widths[i]) : cell.padEnd(widths[i])))
+    .join('  ')
+    .trimEnd();
+  const separator = widths.map(w => '-'.repeat(w)).join('  ');
+
+  const lines = [render(columns), separator];
+  body.slice(0, -1).forEach(cells => lines.push(render(cells)));
+  lines.push(separator, render(body[body.length - 1]));
+  return lines.join('\n');
+}
+
+module.exports = {
+  LEDGER_FILE,
+  GROUP_FIELDS,
+  recordUsage,
+  readLedger,
+  aggregateUsage,
+  formatTable
+};
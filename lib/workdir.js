@@ -0,0 +1,127 @@
+/**
+ * Working Directories
+ *
+ * Resolves the directory an agentic CLI is allowed to work in. The default
+ * is the caller's project root (CLAUDE_PROJECT_DIR, else the current working
+ * directory). Any other directory must exist and lie inside the project root
+ * or one of the roots listed under `workdir_allowlist` in
+ * ~/.claude/multi_provider_config.json:
+ *
+ *   "workdir_allowlist": ["~/src", "/srv/checkouts"]
+ *
+ * Paths are compared after resolving symlinks, so a link inside an allowed
+ * root cannot point the CLI elsewhere. The same roots apply to attached
+ * files and to every file listed inside an attached directory (see
+ * lib/attachments.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./config.js');
+
+/**
+ * Returns the caller's project root
+ *
+ * @returns {string} Absolute path
+ */
+function getProjectRoot() {
+  return path.resolve(process.env.CLAUDE_PROJECT_DIR || process.cwd());
+}
+
+function expandHome(dir) {
+  return dir.startsWith('~/') ? path.join(process.env.HOME || '/tmp', dir.slice(2)) : dir;
+}
+
+function realpathOrNull(dir) {
+  try {
+    return fs.realpathSync(dir);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Lists the allowed roots: the project root plus `workdir_allowlist`
+ *
+ * @returns {string[]} Absolute, symlink-free paths of existing directories
+ */
+function getWorkdirAllowlist() {
+  const configured = loadConfig().workdir_allowlist || [];
+  const roots = [getProjectRoot(), ...configured.filter(dir => typeof dir === 'string').map(expandHome)];
+  return [...new Set(roots.map(realpathOrNull).filter(Boolean))];
+}
+
+function isInside(root, dir) {
+  const relative = path.relative(root, dir);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Resolves a path against the project root and checks it against the
+ * allowed roots
+ *
+ * @param {string} target - Requested path (relative paths are resolved
+ *                          against the project root, `~/` is expanded)
+ * @param {string} label - Name used in error messages
+ * @returns {Object} { ok: true, path, stat } or { ok: false, message }
+ */
+function resolveAllowedPath(target, label) {
+  const requested = path.resolve(getProjectRoot(), expandHome(target));
+  const real = realpathOrNull(requested);
+  if (!real) {
+    return { ok: false, message: `${label} '${requested}' does not exist.` };
+  }
+
+  const allowlist = getWorkdirAllowlist();
+  if (!allowlist.some(root => isInside(root, real))) {
+    return {
+      ok: false,
+      message: `${label} '${requested}' is outside the allowed roots (${allowlist.join(', ')}). ` +
+        'Add it to `workdir_allowlist` in the config.'
+    };
+  }
+  return { ok: true, path: real, stat: fs.statSync(real) };
+}
+
+/**
+ * Checks an existing path against the allowed roots after resolving
+ * symlinks (for files found inside an already validated directory)
+ *
+ * @param {string} file - Absolute path
+ * @param {string[]} allowlist - Allowed roots (default: getWorkdirAllowlist())
+ * @returns {boolean} True when the real path lies inside an allowed root
+ */
+function isAllowedPath(file, allowlist = getWorkdirAllowlist()) {
+  const real = realpathOrNull(file);
+  return Boolean(real) && allowlist.some(root => isInside(root, real));
+}
+
+/**
+ * Validates a requested working directory
+ *
+ * @param {string|undefined} workdir - Requested directory (relative paths are
+ *                                     resolved against the project root)
+ * @returns {Object} { ok: true, path } or { ok: false, message }
+ */
+function resolveWorkdir(workdir) {
+  if (workdir !== undefined && (typeof workdir !== 'string' || workdir.trim() === '')) {
+    return { ok: false, message: 'Field `workdir` must be a non-empty string.' };
+  }
+
+  const resolved = resolveAllowedPath(workdir === undefined ? getProjectRoot() : workdir, 'Working directory');
+  if (!resolved.ok) {
+    return resolved;
+  }
+  if (!resolved.stat.isDirectory()) {
+    return { ok: false, message: `Working directory '${resolved.path}' is not a directory.` };
+  }
+  return { ok: true, path: resolved.path };
+}
+
+module.exports = {
+  getProjectRoot,
+  getWorkdirAllowlist,
+  resolveAllowedPath,
+  isAllowedPath,
+  resolveWorkdir
+};
@@ -0,0 +1,16 @@
+/**
+ * Shared helpers for the test scripts
+ *
+ * check() prints one result line; a mismatch also sets a failing exit code,
+ * so `npm test` (test/run-all.js) notices it.
+ */
+
+function check(label, actual, expected) {
+  const status = actual === expected ? '✓' : '✗';
+  console.log(`${status} ${label} → ${actual} ${actual !== expected ? `(expected: ${expected})` : ''}`);
+  if (actual !== expected) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { check };
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+
+/**
+ * Runs every test/test-*.js script in its own process and fails when any
+ * of them exits with a non-zero code
+ *
+ * Usage: node test/run-all.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const TIMEOUT_MS = 120000;
+
+const scripts = fs.readdirSync(__dirname)
+  .filter(file => /^test-.*\.js$/.test(file))
+  .sort();
+
+const failed = [];
+for (const script of scripts) {
+  const child = spawnSync(process.execPath, [path.join(__dirname, script)], {
+    stdio: 'inherit',
+    timeout: TIMEOUT_MS
+  });
+  if (child.status !== 0) {
+    failed.push(script);
+  }
+}
+
+console.log(`\n${scripts.length - failed.length}/${scripts.length} test scripts passed`);
+if (failed.length > 0) {
+  console.log(`Failed: ${failed.join(', ')}`);
+  process.exitCode = 1;
+}
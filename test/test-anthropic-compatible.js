@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for Anthropic-compatible endpoint resolution
+ *
+ * Usage: node test-anthropic-compatible.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'anthropic-test-'));
+process.env.MULTI_PROVIDER_CONFIG = path.join(process.env.HOME, 'config.json');
+fs.writeFileSync(process.env.MULTI_PROVIDER_CONFIG, JSON.stringify({
+  anthropic_endpoints: {
+    local: {
+      protocol: 'http', host: '127.0.0.1', port: 8080,
+      auth_header: 'authorization', auth_scheme: 'Bearer',
+      api_key_env: 'TEST_GATEWAY_KEY',
+      default_model: 'sonnet', models: { sonnet: 'claude-sonnet-4' }
+    },
+    zai: { host: 'zai.example.test', models: { air: 'claude-3-5-haiku-20241022' } },
+    broken: { label: 'no url' },
+    bad: { url: 'not a url' }
+  }
+}));
+delete process.env.ZAI_API_URL;
+
+const {
+  listEndpoints,
+  resolveEndpoint,
+  mapModel,
+  getEndpointApiKey,
+  runMessages
+} = require('../lib/anthropic-compatible.js');
+const { check } = require('./helpers.js');
+
+console.log('=== Anthropic-Compatible Test Suite ===\n');
+
+// Test 1: Endpoint resolution
+console.log('Test 1: Endpoint Resolution');
+console.log('---------------------------');
+const local = resolveEndpoint('local');
+check('endpoints listed', listEndpoints().join(','), 'zai,local,broken,bad');
+check('url from parts', local.url.href, 'http://127.0.0.1:8080/v1/messages');
+check('generic provider name', local.provider, 'anthropic');
+check('own breaker state', path.basename(local.state_file), '.claude-anthropic-local-state.json');
+check('unknown endpoint', resolveEndpoint('nope'), null);
+check('endpoint without url', resolveEndpoint('broken'), null);
+const bad = resolveEndpoint('bad');
+check('malformed url resolved without url', bad.url, null);
+check('malformed url reported', bad.invalid_url, "Endpoint 'bad' has an invalid `url`: 'not a url'.");
+
+const zai = resolveEndpoint('zai');
+check('preset path kept', zai.url.href, 'https://zai.example.test/api/anthropic/v1/messages');
+check('preset provider', zai.provider, 'zai');
+process.env.ZAI_API_URL = 'http://127.0.0.1:9999/stub';
+check('runtime url override', resolveEndpoint('zai').url.href, 'http://127.0.0.1:9999/stub');
+process.env.ZAI_API_URL = 'http//missing-colon';
+check('malformed override reported', resolveEndpoint('zai').invalid_url, "Endpoint 'zai' has an invalid URL 'http//missing-colon' (from $ZAI_API_URL).");
+delete process.env.ZAI_API_URL;
+console.log('\n');
+
+// Test 2: Models and keys
+console.log('Test 2: Models and Keys');
+console.log('-----------------------');
+check('default model mapped', mapModel(local, undefined), 'claude-sonnet-4');
+check('unmapped model passed through', mapModel(local, 'claude-opus-4'), 'claude-opus-4');
+check('preset models merged', mapModel(zai, 'haiku'), 'claude-3-5-haiku-20241022');
+check('configured models merged', mapModel(zai, 'air'), 'claude-3-5-haiku-20241022');
+check('missing key', getEndpointApiKey(local), null);
+process.env.TEST_GATEWAY_KEY = 'secret';
+check('key from env', getEndpointApiKey(local), 'secret');
+fs.writeFileSync(path.join(process.env.HOME, '.zai_api_key'), 'file-key\n');
+check('key file first', getEndpointApiKey(zai), 'file-key');
+console.log('\n');
+
+// Test 3: Malformed URLs
+console.log('Test 3: Malformed URLs');
+console.log('----------------------');
+runMessages(bad, 'Hello', undefined, 'secret').then((result) => {
+  check('request refused', result.type, 'invalid_request');
+  check('reason given', result.message, bad.invalid_url);
+  console.log('\n');
+
+  fs.rmSync(process.env.HOME, { recursive: true, force: true });
+
+  console.log('=== All Tests Complete ===');
+});
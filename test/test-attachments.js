@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for file attachments and the Gemini command using them
+ *
+ * Usage: node test-attachments.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const base = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-test-')));
+const project = path.join(base, 'project');
+const outside = path.join(base, 'outside');
+const binDir = path.join(base, 'bin');
+for (const dir of [path.join(project, 'lib', 'deep'), path.join(project, 'build'), outside, binDir]) {
+  fs.mkdirSync(dir, { recursive: true });
+}
+fs.writeFileSync(path.join(project, 'README.md'), '# Project\n');
+fs.writeFileSync(path.join(project, 'lib', 'a.js'), 'const a = 1;\n');
+fs.writeFileSync(path.join(project, 'lib', 'deep', 'b.md'), 'Has a fence:\n```\ncode\n```\n');
+fs.writeFileSync(path.join(project, 'lib', 'logo.png'), Buffer.from([0x89, 0x50, 0x00, 0x01]));
+fs.writeFileSync(path.join(project, 'lib', 'huge.txt'), 'x'.repeat(300 * 1024));
+fs.writeFileSync(path.join(project, 'build', 'out.js'), 'generated\n');
+fs.mkdirSync(path.join(project, 'big'));
+for (const name of ['1.txt', '2.txt', '3.txt']) {
+  fs.writeFileSync(path.join(project, 'big', name), 'y'.repeat(40 * 1024));
+}
+fs.writeFileSync(path.join(project, '.gitignore'), 'build/\n');
+fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret\n');
+
+// Stub gemini echoes the prompt (last argument)
+fs.writeFileSync(path.join(binDir, 'gemini'), '#!/bin/sh\nfor last; do :; done\nprintf "%s" "$last"\n', { mode: 0o755 });
+
+process.env.HOME = base;
+process.env.CLAUDE_PROJECT_DIR = project;
+process.env.MULTI_PROVIDER_CONFIG = path.join(base, 'config.json');
+process.env.PATH = `${binDir}:${process.env.PATH}`;
+
+const { collectAttachments } = require('../lib/attachments.js');
+const { loadSession } = require('../lib/sessions.js');
+const { runGemini } = require('../commands/gemini-cli-improved.cjs');
+const { check } = require('./helpers.js');
+
+async function main() {
+  console.log('=== Attachments Test Suite ===\n');
+
+  // Test 1: Plain directories
+  console.log('Test 1: Files and Directories');
+  console.log('-----------------------------');
+  const plain = collectAttachments({ files: ['README.md'], directories: ['lib'] });
+  check('attached in order', plain.summary.files.map(f => f.path).join(','), 'README.md,lib/a.js,lib/deep/b.md');
+  check('skipped with reasons', plain.summary.skipped.map(f => `${f.reason}:${f.path}`).join(','), 'too_large:lib/huge.txt,binary:lib/logo.png');
+  check('token total', plain.summary.tokens, plain.summary.files.reduce((sum, f) => sum + f.tokens, 0));
+  check('header', plain.text.startsWith('# Attached Files\n\n## README.md\n```md\n# Project\n```'), true);
+  check('longer fence around fences', plain.text.includes('## lib/deep/b.md\n````md\n'), true);
+  check('nothing requested', collectAttachments({}).text, '');
+  const big = collectAttachments({ directories: ['big'] });
+  check('total limit', big.summary.skipped.map(f => `${f.reason}:${f.path}`).join(','), 'limit:big/3.txt');
+  check('truncated flag', big.summary.truncated, true);
+  check('attached text below the argument limit', Buffer.byteLength(big.text) < 128 * 1024, true);
+  console.log('\n');
+
+  // Test 2: Git repositories
+  console.log('Test 2: .gitignore');
+  console.log('------------------');
+  execFileSync('git', ['init', '-q'], { cwd: project });
+  const repo = collectAttachments({ directories: ['.'] });
+  check('ignored files left out', repo.summary.files.some(f => f.path.startsWith('build/')), false);
+  check('untracked files included', repo.summary.files.some(f => f.path === 'lib/a.js'), true);
+
+  // git ls-files lists untracked symlinks; their targets are checked as well
+  fs.symlinkSync(path.join(outside, 'secret.txt'), path.join(project, 'lib', 'link.md'));
+  fs.symlinkSync('a.js', path.join(project, 'lib', 'alias.js'));
+  const linked = collectAttachments({ directories: ['lib'] });
+  check('link outside skipped', linked.summary.skipped.some(f => f.path === 'lib/link.md' && f.reason === 'outside'), true);
+  check('link target not inlined', linked.text.includes('secret'), false);
+  check('link inside kept', linked.summary.files.some(f => f.path === 'lib/alias.js'), true);
+  fs.unlinkSync(path.join(project, 'lib', 'link.md'));
+  fs.unlinkSync(path.join(project, 'lib', 'alias.js'));
+  console.log('\n');
+
+  // Test 3: Validation
+  console.log('Test 3: Validation');
+  console.log('------------------');
+  check('outside rejected', collectAttachments({ files: [path.join(outside, 'secret.txt')] }).ok, false);
+  check('traversal rejected', collectAttachments({ directories: ['../outside'] }).ok, false);
+  check('missing file', collectAttachments({ files: ['nope.txt'] }).message.includes('does not exist'), true);
+  check('directory as file', collectAttachments({ files: ['lib'] }).ok, false);
+  check('not an array', collectAttachments({ files: 'README.md' }).message.includes('`files`'), true);
+  console.log('\n');
+
+  // Test 4: Gemini runs
+  console.log('Test 4: Gemini');
+  console.log('--------------');
+  const result = await runGemini('Explain a.js', undefined, false, undefined, { files: ['lib/a.js'] });
+  check('attachments sent', result.output.includes('## lib/a.js\n```js\nconst a = 1;'), true);
+  check('prompt after attachments', result.output.endsWith('---\n\nExplain a.js'), true);
+  check('summary returned', result.attachments.files.length, 1);
+  const rejected = await runGemini('Explain', undefined, false, undefined, { directories: [outside] });
+  check('invalid path is invalid_request', rejected.type, 'invalid_request');
+  const none = await runGemini('Just ask', undefined, false, undefined, {});
+  check('no summary without attachments', none.attachments, undefined);
+  const oversized = await runGemini('x'.repeat(130 * 1024), undefined, false, undefined, {});
+  check('prompt above the argument limit', oversized.type, 'invalid_request');
+  const withSession = await runGemini('Explain a.js', undefined, false, undefined, { files: ['lib/a.js'], sessionId: 'attached' });
+  check('answered in session', withSession.session_id, 'attached');
+  check('session keeps the question only', loadSession('attached').messages[0].content, 'Explain a.js');
+  console.log('\n');
+
+  fs.rmSync(base, { recursive: true, force: true });
+
+  console.log('=== All Tests Complete ===');
+}
+
+main();
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for budget caps
+ *
+ * Usage: node test-budget.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep test records and config out of the real ~/.claude
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'budget-test-'));
+process.env.MULTI_PROVIDER_CONFIG = path.join(process.env.HOME, 'config.json');
+fs.writeFileSync(process.env.MULTI_PROVIDER_CONFIG, JSON.stringify({
+  budgets: {
+    qwen: { daily: { requests: 2 } },
+    zai: { monthly: { tokens: 100 } }
+  }
+}));
+
+const { LEDGER_FILE } = require('../lib/usage.js');
+const { checkBudget, getBudgetStatus, getPeriodUsage } = require('../lib/budget.js');
+const { runRequest } = require('../lib/request-pipeline.js');
+const { check } = require('./helpers.js');
+
+async function main() {
+  console.log('=== Budget Test Suite ===\n');
+
+  let calls = 0;
+  const exec = async () => ({ ok: true, output: `answer ${++calls}` });
+
+  // Test 1: Request caps
+  console.log('Test 1: Request Caps');
+  console.log('--------------------');
+  await runRequest({ provider: 'qwen', prompt: 'one' }, exec);
+  await runRequest({ provider: 'qwen', prompt: 'two' }, exec);
+  const refused = await runRequest({ provider: 'qwen', prompt: 'three' }, exec);
+  check('third request refused', refused.type, 'budget');
+  check('provider not called', calls, 2);
+  check('refusal not in ledger', fs.readFileSync(LEDGER_FILE, 'utf8').trim().split('\n').length, 2);
+  check('uncapped provider', checkBudget('gemini', 1000000), null);
+
+  const refusals = ['circuit_breaker', 'invalid_request', 'missing'];
+  for (const type of refusals) {
+    await runRequest({ provider: 'kimi', prompt: type }, async () => ({ ok: false, type, message: 'refused' }));
+  }
+  check('local refusals not counted', getPeriodUsage('kimi').daily.requests, 0);
+  await runRequest({ provider: 'kimi', prompt: 'overloaded' }, async () => ({ ok: false, type: 'server_error', message: 'HTTP 503' }));
+  check('provider errors counted', getPeriodUsage('kimi').daily.requests, 1);
+  console.log('\n');
+
+  // Test 2: Token caps and old records
+  console.log('Test 2: Token Caps');
+  console.log('------------------');
+  fs.appendFileSync(LEDGER_FILE, JSON.stringify({
+    ts: '2020-01-01T00:00:00.000Z', provider: 'zai', outcome: 'success', input_tokens: 5000, output_tokens: 0
+  }) + '\n');
+  fs.appendFileSync(LEDGER_FILE, JSON.stringify({
+    ts: new Date().toISOString(), provider: 'zai', outcome: 'success', input_tokens: 500, output_tokens: 0, cached: true
+  }) + '\n');
+  check('old and cached records ignored', checkBudget('zai', 10), null);
+  const tokens = checkBudget('zai', 101);
+  check('input estimate counts', tokens && tokens.metric, 'tokens');
+  check('monthly period', tokens && tokens.period, 'monthly');
+  console.log('\n');
+
+  // Test 3: Status
+  console.log('Test 3: Status');
+  console.log('--------------');
+  const [qwen, gemini] = getBudgetStatus(['qwen', 'gemini']);
+  check('qwen remaining', qwen.daily.requests.remaining, 0);
+  check('qwen limited', qwen.limited, true);
+  check('gemini unlimited', gemini.daily.requests.limit, null);
+  console.log('\n');
+
+  fs.rmSync(process.env.HOME, { recursive: true, force: true });
+
+  console.log('=== All Tests Complete ===');
+}
+
+main();
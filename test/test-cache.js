@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the response cache
+ *
+ * Usage: node test-cache.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep test entries out of the real ~/.claude
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+
+const { isValidCacheOption, resolveCacheMode, cacheKey } = require('../lib/cache.js');
+const { runRequest } = require('../lib/request-pipeline.js');
+const { check } = require('./helpers.js');
+
+async function main() {
+  console.log('=== Response Cache Test Suite ===\n');
+
+  // Test 1: Modes and keys
+  console.log('Test 1: Modes and Keys');
+  console.log('----------------------');
+  check('valid refresh', isValidCacheOption('refresh'), true);
+  check('invalid string', isValidCacheOption('always'), false);
+  check('default is off', resolveCacheMode(undefined).read, false);
+  check('refresh skips read', resolveCacheMode('refresh').read, false);
+  check('refresh writes', resolveCacheMode('refresh').write, true);
+  check('bypass skips write', resolveCacheMode('bypass').write, false);
+
+  const base = { provider: 'gemini', model: 'gemini-2.5-pro', prompt: 'Explain X', settings: { yolo: false } };
+  check('whitespace normalized', cacheKey(base) === cacheKey({ ...base, prompt: '  Explain X  \r\n' }), true);
+  check('settings key order', cacheKey({ ...base, settings: { a: 1, b: 2 } }) === cacheKey({ ...base, settings: { b: 2, a: 1 } }), true);
+  check('model matters', cacheKey(base) === cacheKey({ ...base, model: 'gemini-2.5-flash' }), false);
+  check('settings matter', cacheKey(base) === cacheKey({ ...base, settings: { yolo: true } }), false);
+  console.log('\n');
+
+  // Test 2: Pipeline hits skip exec
+  console.log('Test 2: Pipeline');
+  console.log('----------------');
+  let calls = 0;
+  const exec = async () => ({ ok: true, output: `answer ${++calls}` });
+  const request = (cache) => ({ provider: 'qwen', prompt: 'Same prompt', options: { cache } });
+
+  const first = await runRequest(request(true), exec);
+  const second = await runRequest(request(true), exec);
+  check('miss calls exec', first.output, 'answer 1');
+  check('hit returns stored answer', second.output, 'answer 1');
+  check('hit flagged', second.cached, true);
+  check('hit skips exec', calls, 1);
+
+  const bypass = await runRequest(request('bypass'), exec);
+  check('bypass calls exec', bypass.output, 'answer 2');
+  const refresh = await runRequest(request('refresh'), exec);
+  check('refresh calls exec', refresh.output, 'answer 3');
+  const afterRefresh = await runRequest(request(true), exec);
+  check('refresh overwrote entry', afterRefresh.output, 'answer 3');
+
+  const other = { provider: 'qwen', prompt: 'Other prompt', options: { cache: true } };
+  await runRequest(other, async () => ({ ok: false, type: 'error', message: 'x' }));
+  const retried = await runRequest(other, exec);
+  check('failures not cached', retried.cached, undefined);
+  const writing = { ...request(true), prompt: 'Edit a file', cacheable: false };
+  await runRequest(writing, exec);
+  const rewritten = await runRequest(writing, exec);
+  check('uncacheable request not replayed', rewritten.cached, undefined);
+  check('uncacheable request runs again', rewritten.output, 'answer 6');
+  const invalid = await runRequest(request('sometimes'), exec);
+  check('invalid mode', invalid.type, 'invalid_request');
+  console.log('\n');
+
+  fs.rmSync(process.env.HOME, { recursive: true, force: true });
+
+  console.log('=== All Tests Complete ===');
+}
+
+main();
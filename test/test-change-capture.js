@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for change capture: git and plain file snapshots, diffs and
+ * rollback of failed runs
+ *
+ * Usage: node test-change-capture.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { takeSnapshot, collectChanges, unifiedDiff, runWithChangeCapture } = require('../lib/change-capture.js');
+const { check } = require('./helpers.js');
+
+const base = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'change-capture-test-')));
+
+function makeTree(name) {
+  const dir = path.join(base, name);
+  fs.mkdirSync(path.join(dir, 'src'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'src', 'app.js'), 'one\ntwo\nthree\n');
+  fs.writeFileSync(path.join(dir, 'old.txt'), 'remove me\n');
+  return dir;
+}
+
+// The simulated agent run: edit, create and delete one file each
+function edit(dir) {
+  fs.writeFileSync(path.join(dir, 'src', 'app.js'), 'one\nTWO\nthree\n');
+  fs.writeFileSync(path.join(dir, 'src', 'new.js'), 'fresh\n');
+  fs.rmSync(path.join(dir, 'old.txt'));
+}
+
+function summary(changes) {
+  return changes.files.map(file => `${file.status}:${file.path}`).join(',');
+}
+
+async function main() {
+  console.log('=== Change Capture Test Suite ===\n');
+
+  // Test 1: Unified diffs
+  console.log('Test 1: Unified Diff');
+  console.log('--------------------');
+  const diff = unifiedDiff('a.txt', Buffer.from('1\n2\n3\n4\n5\n6\n7\n8\n9\n'), Buffer.from('1\n2\n3\n4\nfive\n6\n7\n8\n9\n'));
+  check('hunk header', diff.split('\n')[2], '@@ -2,7 +2,7 @@');
+  check('changed lines', diff.includes('-5\n+five\n'), true);
+  check('created file', unifiedDiff('n.txt', null, Buffer.from('x\n')).split('\n').slice(0, 3).join('|'), '--- /dev/null|+++ b/n.txt|@@ -0,0 +1,1 @@');
+  check('binary files', unifiedDiff('b.bin', Buffer.from('a\0b'), Buffer.from('a\0c')).startsWith('Binary files'), true);
+  console.log('\n');
+
+  // Test 2: Plain directories
+  console.log('Test 2: File Hashes');
+  console.log('-------------------');
+  const plain = makeTree('plain');
+  fs.mkdirSync(path.join(plain, 'node_modules'));
+  const plainSnapshot = takeSnapshot(plain);
+  check('mode', plainSnapshot.mode, 'files');
+  edit(plain);
+  fs.writeFileSync(path.join(plain, 'node_modules', 'dep.js'), 'ignored\n');
+  const plainChanges = collectChanges(plainSnapshot);
+  check('files', summary(plainChanges), 'deleted:old.txt,modified:src/app.js,created:src/new.js');
+  check('diff', plainChanges.diff.includes('-two\n+TWO\n'), true);
+  check('not truncated', plainChanges.truncated, false);
+
+  // Large files are hashed, not kept: reported without a diff
+  const large = makeTree('large');
+  fs.writeFileSync(path.join(large, 'big.log'), 'x'.repeat(1536 * 1024));
+  const largeSnapshot = takeSnapshot(large);
+  check('large file not kept', largeSnapshot.files.get('big.log').content, null);
+  fs.appendFileSync(path.join(large, 'big.log'), 'y');
+  const largeChanges = collectChanges(largeSnapshot);
+  check('large file change detected', summary(largeChanges), 'modified:big.log');
+  check('large file not diffed', largeChanges.diff.includes('not diffed'), true);
+  console.log('\n');
+
+  // Test 3: Git work trees
+  console.log('Test 3: Git');
+  console.log('-----------');
+  const repo = makeTree('repo');
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@t', ...args], { cwd: repo, encoding: 'utf8' });
+  git('init', '-q');
+  fs.writeFileSync(path.join(repo, '.gitignore'), 'build/\n');
+  git('add', '-A');
+  git('commit', '-qm', 'init');
+  fs.writeFileSync(path.join(repo, 'untracked.txt'), 'before the run\n');
+  const gitSnapshot = takeSnapshot(path.join(repo, 'src'));
+  check('mode', gitSnapshot.mode, 'git');
+  check('snapshots the whole repository', gitSnapshot.root, repo);
+  edit(repo);
+  fs.mkdirSync(path.join(repo, 'build'));
+  fs.writeFileSync(path.join(repo, 'build', 'out.js'), 'ignored\n');
+  const gitChanges = collectChanges(gitSnapshot);
+  check('files', summary(gitChanges), 'deleted:old.txt,modified:src/app.js,created:src/new.js');
+  check('diff', gitChanges.diff.includes('-two\n+TWO\n'), true);
+  check('index untouched', git('status', '--porcelain').includes('?? untracked.txt'), true);
+  console.log('\n');
+
+  // Test 4: Runs
+  console.log('Test 4: Runs and Rollback');
+  console.log('-------------------------');
+  const unchanged = await runWithChangeCapture(repo, {}, async () => ({ ok: true, output: 'nothing to do' }));
+  check('no changes', unchanged.changes.files.length, 0);
+
+  for (const name of ['plain-revert', 'repo-revert']) {
+    const dir = makeTree(name);
+    if (name === 'repo-revert') {
+      execFileSync('git', ['init', '-q'], { cwd: dir });
+    }
+    const failed = await runWithChangeCapture(dir, { revertOnFailure: true }, async () => {
+      edit(dir);
+      return { ok: false, type: 'error', message: 'boom' };
+    });
+    check(`${name}: changes reported`, failed.changes.files.length, 3);
+    check(`${name}: reverted`, failed.changes.reverted, true);
+    check(`${name}: modified restored`, fs.readFileSync(path.join(dir, 'src', 'app.js'), 'utf8'), 'one\ntwo\nthree\n');
+    check(`${name}: deleted restored`, fs.existsSync(path.join(dir, 'old.txt')), true);
+    check(`${name}: created removed`, fs.existsSync(path.join(dir, 'src', 'new.js')), false);
+  }
+
+  const kept = makeTree('kept');
+  const success = await runWithChangeCapture(kept, { revertOnFailure: true }, async () => {
+    edit(kept);
+    return { ok: true, output: 'done' };
+  });
+  check('success keeps changes', fs.existsSync(path.join(kept, 'src', 'new.js')), true);
+  check('success not reverted', success.changes.reverted, undefined);
+  console.log('\n');
+
+  // Test 5: Plugin state written during the run (CLI working in HOME)
+  console.log('Test 5: Plugin State');
+  console.log('--------------------');
+  const realHome = process.env.HOME;
+  for (const name of ['home-plain', 'home-repo']) {
+    const home = makeTree(name);
+    if (name === 'home-repo') {
+      execFileSync('git', ['init', '-q'], { cwd: home });
+    }
+    process.env.HOME = home;
+    const failed = await runWithChangeCapture(home, { revertOnFailure: true }, async () => {
+      edit(home);
+      fs.writeFileSync(path.join(home, '.claude-openai-cli-state.json'), '{"failures":1}');
+      fs.mkdirSync(path.join(home, '.claude', 'multi_provider_sessions'), { recursive: true });
+      fs.writeFileSync(path.join(home, '.claude', 'multi_provider_sessions', 's.json'), '{}');
+      fs.writeFileSync(path.join(home, '.claude', 'gemini_usage.json'), '{}');
+      return { ok: false, type: 'error', message: 'boom' };
+    });
+    check(`${name}: state not reported`, summary(failed.changes), 'deleted:old.txt,modified:src/app.js,created:src/new.js');
+    check(`${name}: state not in diff`, failed.changes.diff.includes('failures'), false);
+    check(`${name}: circuit breaker state kept`, fs.existsSync(path.join(home, '.claude-openai-cli-state.json')), true);
+    check(`${name}: session kept`, fs.existsSync(path.join(home, '.claude', 'multi_provider_sessions', 's.json')), true);
+  }
+  process.env.HOME = realHome;
+  console.log('\n');
+
+  fs.rmSync(base, { recursive: true, force: true });
+
+  console.log('=== All Tests Complete ===');
+}
+
+main();
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the Codex command: `exec --json` event parsing and runs
+ * against a stub `codex` executable
+ *
+ * Usage: node test-codex.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Stub CLI, breaker state and usage records live in a temporary home
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-test-'));
+const binDir = path.join(process.env.HOME, 'bin');
+fs.mkdirSync(binDir);
+process.env.PATH = `${binDir}:${process.env.PATH}`;
+// Write-capable runs snapshot the working directory
+const workDir = path.join(process.env.HOME, 'work');
+fs.mkdirSync(workDir);
+process.chdir(workDir);
+
+const { runCodex, createCodexEventCollector } = require('../commands/openai-cli-improved.cjs');
+const { check } = require('./helpers.js');
+
+const EVENTS = [
+  { type: 'thread.started', thread_id: 't1' },
+  { type: 'turn.started' },
+  { type: 'item.completed', item: { id: 'item_0', type: 'reasoning', text: '**Inspecting tests**' } },
+  { type: 'item.started', item: { id: 'item_1', type: 'command_execution', command: 'bash -lc "npm test"', aggregated_output: '', exit_code: null, status: 'in_progress' } },
+  { type: 'item.completed', item: { id: 'item_1', type: 'command_execution', command: 'bash -lc "npm test"', aggregated_output: '1 failing\n', exit_code: 1, status: 'failed' } },
+  { type: 'item.completed', item: { id: 'item_2', type: 'agent_message', text: 'Fixing the failing test.' } },
+  { type: 'item.completed', item: { id: 'item_3', type: 'file_change', changes: [{ path: 'src/a.js', kind: 'update' }, { path: 'src/b.js', kind: 'add' }], status: 'completed' } },
+  { type: 'item.completed', item: { id: 'item_4', type: 'agent_message', text: 'Done: "a.js" fixed.' } },
+  { type: 'turn.completed', usage: { input_tokens: 1200, cached_input_tokens: 800, output_tokens: 90 } }
+].map(event => JSON.stringify(event)).join('\n') + '\n';
+
+// Stub codex: JSON events with --json, plain text otherwise; "fail" in the
+// prompt reports a failed turn, "edit" writes a file
+fs.writeFileSync(path.join(binDir, 'codex'), `#!/bin/sh
+case "$*" in
+  *edit*) echo "changed" > edited.txt; echo "edited";;
+  *fail*) echo '{"type":"turn.failed","error":{"message":"You exceeded your current quota (rate limit)"}}'; exit 1;;
+  *--json*) cat <<'EOF'
+${EVENTS}EOF
+  ;;
+  *) echo "plain answer";;
+esac
+`, { mode: 0o755 });
+
+async function main() {
+  console.log('=== Codex Test Suite ===\n');
+
+  // Test 1: Event collector
+  console.log('Test 1: JSON Event Parsing');
+  console.log('--------------------------');
+  const events = [];
+  const collector = createCodexEventCollector((event, data) => events.push(event));
+  EVENTS.split('\n').forEach(collector.handleLine);
+  collector.handleLine('Reading prompt from stdin...');
+  const parsed = collector.result();
+  check('final agent message', parsed.output, 'Done: "a.js" fixed.');
+  check('reasoning summary', parsed.reasoning[0], '**Inspecting tests**');
+  check('completed commands only', parsed.commands.length, 1);
+  check('command exit code', parsed.commands[0].exit_code, 1);
+  check('command output', parsed.commands[0].output, '1 failing\n');
+  check('files changed', parsed.files_changed.map(f => `${f.kind}:${f.path}`).join(','), 'update:src/a.js,add:src/b.js');
+  check('usage', `${parsed.usage.input_tokens}/${parsed.usage.output_tokens}`, '1200/90');
+  check('event order', events.join(','), 'reasoning,command,delta,file_change,file_change,delta');
+  console.log('\n');
+
+  // Test 2: Runs against a stub CLI
+  console.log('Test 2: CLI Runs');
+  console.log('----------------');
+  const plain = await runCodex('hello', undefined, 'read-only');
+  check('text mode unchanged', plain.output, 'plain answer');
+  check('no structured fields in text mode', plain.commands, undefined);
+
+  const deltas = [];
+  const structured = await runCodex('hello', undefined, 'workspace-write', undefined, {
+    json: true,
+    onEvent: (event, data) => event === 'delta' && deltas.push(data.text)
+  });
+  check('json mode output', structured.output, 'Done: "a.js" fixed.');
+  check('json mode files', structured.files_changed.length, 2);
+  check('no raw JSON streamed', deltas.some(text => text.includes('"type"')), false);
+
+  const failed = await runCodex('please fail', undefined, 'read-only', undefined, { json: true });
+  check('error event classified', failed.type, 'limit');
+  check('no changes when read-only', failed.changes, undefined);
+
+  const edited = await runCodex('please edit', undefined, 'workspace-write');
+  check('write-capable run reports changes', edited.changes.files.map(f => `${f.status}:${f.path}`).join(','), 'created:edited.txt');
+  check('diff of created file', edited.changes.diff.includes('+changed'), true);
+  console.log('\n');
+
+  // Test 3: Response cache
+  console.log('Test 3: Response Cache');
+  console.log('----------------------');
+  await runCodex('please edit again', undefined, 'workspace-write', undefined, { cache: true });
+  fs.rmSync(path.join(workDir, 'edited.txt'));
+  const repeated = await runCodex('please edit again', undefined, 'workspace-write', undefined, { cache: true });
+  check('write-capable run not replayed', repeated.cached, undefined);
+  check('edit applied again', fs.existsSync(path.join(workDir, 'edited.txt')), true);
+  check('changes reported again', repeated.changes.files.length, 1);
+
+  await runCodex('hello', undefined, 'read-only', undefined, { json: true, cache: true });
+  const structuredAgain = await runCodex('hello', undefined, 'read-only', undefined, { json: true, cache: true });
+  check('json run not replayed', structuredAgain.cached, undefined);
+  check('json run keeps structure', structuredAgain.commands.length, 1);
+
+  await runCodex('cached question', undefined, 'read-only', undefined, { cache: true });
+  check('read-only text run cached', (await runCodex('cached question', undefined, 'read-only', undefined, { cache: true })).cached, true);
+  console.log('\n');
+
+  fs.rmSync(process.env.HOME, { recursive: true, force: true });
+
+  console.log('=== All Tests Complete ===');
+}
+
+main();
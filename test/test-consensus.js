@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the consensus agreement summary and the read-only
+ * guarantee of /consensus
+ *
+ * Usage: node test-consensus.js
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { computeAgreement } = require('../lib/consensus.js');
+const { check } = require('./helpers.js');
+
+console.log('=== Consensus Test Suite ===\n');
+
+// Test 1: Agreeing answers
+console.log('Test 1: Agreeing Answers');
+console.log('------------------------');
+const agreeing = computeAgreement([
+  { provider: 'codex', success: true, output: 'Use a binary search over the sorted array' },
+  { provider: 'gemini', success: true, output: 'Use binary search over the sorted array' },
+  { provider: 'qwen', success: false, error_type: 'limit' }
+]);
+check('answered', agreeing.answered, 2);
+check('failed', agreeing.failed, 1);
+check('pairs', agreeing.pairwise.length, 1);
+check('level', agreeing.level, 'high');
+console.log('\n');
+
+// Test 2: Disagreeing answers
+console.log('Test 2: Disagreeing Answers');
+console.log('---------------------------');
+const disagreeing = computeAgreement([
+  { provider: 'codex', success: true, output: 'The bug is in the parser' },
+  { provider: 'gemini', success: true, output: 'Completely unrelated network timeout problem' },
+  { provider: 'zai', success: true, output: 'The bug is in the parser module' }
+]);
+check('level', disagreeing.level, 'low');
+check('most representative', ['codex', 'zai'].includes(disagreeing.most_representative), true);
+console.log('\n');
+
+// Test 3: Not enough answers
+console.log('Test 3: Single Answer');
+console.log('---------------------');
+const single = computeAgreement([{ provider: 'codex', success: true, output: 'Only one' }]);
+check('level', single.level, 'n/a');
+check('mean similarity', single.mean_similarity, null);
+check('most representative', single.most_representative, 'codex');
+console.log('\n');
+
+// Test 4: Read-only guarantee (rejected before any provider is called)
+console.log('Test 4: Read-Only');
+console.log('-----------------');
+function runCommand(payload) {
+  const child = spawnSync(process.execPath, [path.join(__dirname, '..', 'commands', 'consensus.cjs')], {
+    input: JSON.stringify({ prompt: 'Fix it', providers: ['codex', 'gemini'], ...payload }),
+    encoding: 'utf8'
+  });
+  return JSON.parse(child.stdout);
+}
+check('access full rejected', runCommand({ access: 'full' }).error_type, 'invalid_request');
+check('sandbox rejected', runCommand({ sandbox: 'danger-full-access' }).message.includes('`sandbox`'), true);
+check('yolo rejected', runCommand({ yolo: true }).error_type, 'invalid_request');
+check('approval_mode rejected', runCommand({ approval_mode: 'yolo' }).error_type, 'invalid_request');
+console.log('\n');
+
+console.log('=== All Tests Complete ===');
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for glob matching and the repository context packer
+ *
+ * Usage: node test-context-packer.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const base = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'context-packer-test-')));
+const project = path.join(base, 'project');
+for (const dir of [path.join(project, 'lib', 'deep'), path.join(project, 'dist'), path.join(project, 'docs')]) {
+  fs.mkdirSync(dir, { recursive: true });
+}
+fs.writeFileSync(path.join(project, 'README.md'), '# Project\n');
+fs.writeFileSync(path.join(project, 'lib', 'a.js'), 'const a = 1;\n');
+fs.writeFileSync(path.join(project, 'lib', 'b.test.js'), 'test(a);\n');
+fs.writeFileSync(path.join(project, 'lib', 'deep', 'c.js'), Array.from({ length: 400 }, (_, i) => `const line${i} = ${i};`).join('\n') + '\n');
+fs.writeFileSync(path.join(project, 'lib', 'deep', 'd.js'), 'const d = 4;\n');
+fs.writeFileSync(path.join(project, 'lib', 'logo.js'), Buffer.from([0x89, 0x50, 0x00, 0x01]));
+fs.writeFileSync(path.join(project, 'dist', 'bundle.js'), 'generated\n');
+fs.writeFileSync(path.join(project, 'docs', 'notes.log'), 'debug output\n');
+fs.writeFileSync(path.join(project, '.gitignore'), '# build output\ndist/\n*.log\n');
+
+process.env.HOME = base;
+process.env.CLAUDE_PROJECT_DIR = project;
+process.env.MULTI_PROVIDER_CONFIG = path.join(base, 'config.json');
+
+const { globToRegExp, createMatcher, loadGitignore } = require('../lib/glob.js');
+const { validatePackOptions, packContext } = require('../lib/context-packer.js');
+const { buildPrompt, injectContext } = require('../lib/context-injector.js');
+const { runRequest } = require('../lib/request-pipeline.js');
+const { check } = require('./helpers.js');
+
+const paths = (entries) => entries.map(entry => entry.path).join(',');
+
+async function main() {
+  console.log('=== Context Packer Test Suite ===\n');
+
+  // Test 1: Globs
+  console.log('Test 1: Globs');
+  console.log('-------------');
+  check('* stays in one directory', globToRegExp('lib/*.js').test('lib/deep/c.js'), false);
+  check('** spans directories', globToRegExp('lib/**/*.js').test('lib/deep/c.js'), true);
+  check('**/ matches zero directories', globToRegExp('lib/**/*.js').test('lib/a.js'), true);
+  check('? is one character', globToRegExp('lib/?.js').test('lib/a.js'), true);
+  check('braces', createMatcher(['*.{md,json}'])('README.md'), true);
+  check('dots are literal', globToRegExp('*.js').test('ajs'), false);
+  const ignored = loadGitignore(project);
+  check('gitignore directory', ignored('dist/bundle.js'), true);
+  check('gitignore pattern in subdirectory', ignored('docs/notes.log'), true);
+  check('gitignore keeps the rest', ignored('lib/a.js'), false);
+  console.log('\n');
+
+  // Test 2: Packing
+  console.log('Test 2: Packing');
+  console.log('---------------');
+  const packed = packContext({ include: ['**/*.js', '**/*.log', 'README.md'], exclude: ['**/*.test.js'] });
+  check('matching files in path order', paths(packed.report.files), 'README.md,lib/a.js,lib/deep/c.js,lib/deep/d.js');
+  check('binary skipped', paths(packed.report.skipped), 'lib/logo.js');
+  check('skip reason', packed.report.skipped[0].reason, 'binary');
+  check('gitignored files left out', packed.text.includes('bundle') || packed.text.includes('notes.log'), false);
+  check('file header and fence', packed.text.startsWith('## README.md\n```md\n# Project\n```\n\n## lib/a.js\n```js\n'), true);
+  check('token total', packed.report.tokens, packed.report.files.reduce((sum, f) => sum + f.tokens, 0));
+  check('default budget', packed.report.budget, 20000);
+  check('not truncated', packed.report.truncated, false);
+  check('no match', packContext({ include: ['*.py'] }).text, '');
+  console.log('\n');
+
+  // Test 3: Token budget
+  console.log('Test 3: Token Budget');
+  console.log('--------------------');
+  const small = packContext({ include: ['lib/**/*.js'], budget: 600 });
+  const cut = small.report.files.find(f => f.path === 'lib/deep/c.js');
+  check('first file over budget cut', cut && cut.truncated, true);
+  check('within budget', small.report.tokens <= 600, true);
+  check('cut at a line boundary', /const line\d+ = \d+;\n\[\.\.\. file truncated/.test(small.text), true);
+  check('later files skipped', small.report.skipped.map(f => `${f.reason}:${f.path}`).join(','), 'budget:lib/deep/d.js,budget:lib/logo.js');
+  check('report truncated', small.report.truncated, true);
+  check('deterministic', packContext({ include: ['lib/**/*.js'], budget: 600 }).text === small.text, true);
+  const capped = packContext({ include: ['lib/**/*.js'], maxBytes: 2048 });
+  check('byte cap cuts the file', capped.report.files.find(f => f.path === 'lib/deep/c.js').truncated, true);
+  check('within the byte cap', Buffer.byteLength(capped.text) <= 2048, true);
+  check('byte cap reported', capped.report.max_bytes, 2048);
+  check('no byte cap by default', small.report.max_bytes, undefined);
+  console.log('\n');
+
+  // Test 4: Git repositories
+  console.log('Test 4: Git Repositories');
+  console.log('------------------------');
+  execFileSync('git', ['init', '-q'], { cwd: project });
+  const repo = packContext({ include: ['**'] });
+  check('ignored files left out', repo.report.files.some(f => f.path.startsWith('dist/') || f.path.endsWith('.log')), false);
+  check('untracked files packed', repo.report.files.some(f => f.path === 'lib/deep/d.js'), true);
+  check('.gitignore itself packed', repo.report.files.some(f => f.path === '.gitignore'), true);
+
+  fs.writeFileSync(path.join(base, 'secret.txt'), 'TOPSECRET\n');
+  fs.symlinkSync(path.join(base, 'secret.txt'), path.join(project, 'notes.md'));
+  const linked = packContext({ include: ['*.md'] });
+  check('link outside skipped', linked.report.skipped.map(f => `${f.reason}:${f.path}`).join(','), 'outside:notes.md');
+  check('link target not packed', linked.text.includes('TOPSECRET'), false);
+  fs.unlinkSync(path.join(project, 'notes.md'));
+  console.log('\n');
+
+  // Test 5: Context injector
+  console.log('Test 5: Context Injector');
+  console.log('------------------------');
+  const prompt = buildPrompt('Explain a', { includeRules: false, context: 'Be brief.', include: ['lib/a.js'] });
+  check('packed after given context', prompt.startsWith('# Additional Context\nBe brief.\n\n## lib/a.js\n```js\nconst a = 1;\n```\n\n# Task\nExplain a'), true);
+  const injected = injectContext('Explain a', { includeRules: false, include: ['lib/a.js'], budget: 1000 });
+  check('report lists packed files', paths(injected.report.packed.files), 'lib/a.js');
+  check('budget passed on', injected.report.packed.budget, 1000);
+  check('context tokens include packed files', injected.report.context_tokens, injected.report.packed.tokens);
+  console.log('\n');
+
+  // Test 6: Request pipeline
+  console.log('Test 6: Request Pipeline');
+  console.log('------------------------');
+  let sent = null;
+  const exec = async (text) => {
+    sent = text;
+    return { ok: true, output: 'ok' };
+  };
+  const withContext = await runRequest({ provider: 'kimi', prompt: 'Explain a', options: { context: 'Be brief.', include: ['lib/a.js'] } }, exec);
+  check('packed after given context', sent.startsWith('# Additional Context\nBe brief.\n\n## lib/a.js\n```js\nconst a = 1;\n```\n\n# Task\nExplain a'), true);
+  check('context tokens include packed files', withContext.context_injection.context_tokens > withContext.context_injection.packed.tokens, true);
+  const result = await runRequest({ provider: 'kimi', prompt: 'Explain d', options: { include: ['lib/deep/d.js'] } }, exec);
+  check('files sent', sent.includes('## lib/deep/d.js\n```js\nconst d = 4;\n```'), true);
+  check('packed reported', paths(result.context_injection.packed.files), 'lib/deep/d.js');
+  check('byte cap for CLI providers', result.context_injection.packed.max_bytes, 64 * 1024);
+  const native = await runRequest({ provider: 'zai', prompt: 'Explain d', options: { include: ['lib/deep/d.js'] } }, exec);
+  check('no byte cap for HTTP providers', native.context_injection.packed.max_bytes, undefined);
+
+  const cacheRequest = { provider: 'kimi', prompt: 'Explain d', options: { cache: true, include: ['lib/deep/d.js'] } };
+  await runRequest(cacheRequest, exec);
+  check('unchanged files hit the cache', (await runRequest(cacheRequest, exec)).cached, true);
+  fs.writeFileSync(path.join(project, 'lib', 'deep', 'd.js'), 'const d = 5;\n');
+  const changed = await runRequest(cacheRequest, exec);
+  check('changed files miss the cache', changed.cached, undefined);
+
+  const empty = await runRequest({ provider: 'kimi', prompt: 'Explain x', options: { include: ['*.py'] } }, exec);
+  check('nothing matched still reported', empty.context_injection.packed.files.length, 0);
+  check('prompt untouched without files', sent, 'Explain x');
+
+  const invalid = await runRequest({ provider: 'kimi', prompt: 'Explain', options: { include: 'lib/*.js' } }, exec);
+  check('include must be an array', invalid.type, 'invalid_request');
+  check('exclude needs include', validatePackOptions({ exclude: ['*.js'] }), 'Field `exclude` needs `include`.');
+  check('budget must be positive', validatePackOptions({ include: ['*'], budget: 0 }).includes('context_budget'), true);
+  console.log('\n');
+
+  console.log('=== All Tests Complete ===');
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
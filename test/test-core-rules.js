@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the CORE_RULES.md discovery chain
+ *
+ * Usage: node test-core-rules.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const base = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'core-rules-test-')));
+const project = path.join(base, 'project');
+fs.mkdirSync(path.join(project, '.claude'), { recursive: true });
+fs.mkdirSync(path.join(base, '.claude'));
+
+process.env.HOME = base;
+process.env.CLAUDE_PROJECT_DIR = project;
+delete process.env.MULTI_PROVIDER_CORE_RULES;
+
+const { resolveCoreRules, injectContext, getStats } = require('../lib/context-injector.js');
+const { check } = require('./helpers.js');
+
+function write(file, text) {
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+console.log('=== CORE_RULES Discovery Test Suite ===\n');
+
+// Test 1: Lookup order
+console.log('Test 1: Lookup Order');
+console.log('--------------------');
+const pluginRules = path.join(__dirname, '..', 'CORE_RULES.md');
+const source = () => resolveCoreRules().source || 'none';
+const legacyRules = path.join(__dirname, '..', 'lib', '../../../CORE_RULES.md');
+const fallback = fs.existsSync(pluginRules) ? 'plugin' : fs.existsSync(legacyRules) ? 'legacy' : 'none';
+check('plugin directory, then legacy path', source(), fallback);
+check('legacy path searched last', getStats().coreRulesSearched.slice(-1)[0], path.resolve(legacyRules));
+
+const homeRules = write(path.join(base, '.claude', 'CORE_RULES.md'), '# Home Rules\n');
+check('home directory', source(), 'home');
+check('home path', resolveCoreRules().path, homeRules);
+
+write(path.join(project, 'CORE_RULES.md'), '# Project Rules\n');
+check('project root overrides home', source(), 'project');
+const dotClaude = write(path.join(project, '.claude', 'CORE_RULES.md'), '# Project .claude Rules\n');
+check('project .claude first', resolveCoreRules().path, dotClaude);
+
+const envRules = write(path.join(base, 'env.md'), '# Env Rules\n');
+process.env.MULTI_PROVIDER_CORE_RULES = envRules;
+check('environment variable', source(), 'env');
+
+const explicit = write(path.join(project, 'team-rules.md'), '# Team Rules\n## Naming\n');
+check('explicit option first', resolveCoreRules({ rulesPath: 'team-rules.md' }).path, explicit);
+const warnings = [];
+const consoleError = console.error;
+console.error = (message) => warnings.push(message);
+check('missing explicit falls through', resolveCoreRules({ rulesPath: 'nope.md' }).source, 'env');
+resolveCoreRules({ rulesPath: 'nope.md' });
+resolveCoreRules({ rulesPath: 'other.md' });
+console.error = consoleError;
+check('missing path warned once', warnings.filter(w => w.includes('nope.md')).length, 1);
+check('each missing path warned', warnings.length, 2);
+console.log('\n');
+
+// Test 2: Reporting
+console.log('Test 2: Reporting');
+console.log('-----------------');
+const injected = injectContext('Fix the bug', { rulesPath: 'team-rules.md' });
+check('rules injected', injected.prompt.includes('# Team Rules'), true);
+check('rule headings', injected.report.rules.join(','), 'Team Rules,Naming');
+check('rules source', injected.report.rules_source, 'option');
+check('no rules for explanations', injectContext('Explain X', { taskType: 'explanation' }).report.rules_path, undefined);
+
+const stats = getStats();
+check('stats path', stats.coreRulesPath, envRules);
+check('stats source', stats.coreRulesSource, 'env');
+check('stats searched', stats.coreRulesSearched[0], envRules);
+console.log('\n');
+
+fs.rmSync(base, { recursive: true, force: true });
+
+console.log('=== All Tests Complete ===');
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the Gemini account quotas (RPM/RPD limits per account
+ * and model) and the account rotation of gemini-cli-improved against a stub
+ * `gemini` CLI
+ *
+ * Usage: node test-gemini-accounts.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Keep accounts and usage out of the real ~/.claude
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'gemini-accounts-test-'));
+const ACCOUNTS_FILE = path.join(process.env.HOME, '.claude', 'gemini_accounts.json');
+const USAGE_FILE = path.join(process.env.HOME, '.claude', 'gemini_usage.json');
+
+const {
+  FREE_LIMITS,
+  loadConfig,
+  loadUsage,
+  incrementUsage,
+  getLimits,
+  getQuota,
+  getCurrentAccount,
+  rotateToNext
+} = require('../commands/gemini-accounts.cjs');
+const { runGeminiWithAccounts } = require('../commands/gemini-cli-improved.cjs');
+const { check } = require('./helpers.js');
+
+function writeAccounts(config) {
+  fs.mkdirSync(path.dirname(ACCOUNTS_FILE), { recursive: true });
+  fs.writeFileSync(ACCOUNTS_FILE, JSON.stringify(config));
+}
+
+function runCommand(payload) {
+  const child = spawnSync(process.execPath, [path.join(__dirname, '..', 'commands', 'gemini-accounts.cjs')], {
+    input: JSON.stringify(payload),
+    encoding: 'utf8'
+  });
+  return JSON.parse(child.stdout);
+}
+
+const free = { name: 'free-a', type: 'free', active: true, priority: 1 };
+const paid = { name: 'paid-a', type: 'paid', active: true, priority: 2 };
+
+console.log('=== Gemini Accounts Test Suite ===\n');
+
+// Test 1: Limits
+console.log('Test 1: Limits');
+console.log('--------------');
+check('2.5 pro free tier', `${FREE_LIMITS['gemini-2.5-pro'].rpm}/${FREE_LIMITS['gemini-2.5-pro'].rpd}`, '5/100');
+check('2.5 flash free tier', `${FREE_LIMITS['gemini-2.5-flash'].rpm}/${FREE_LIMITS['gemini-2.5-flash'].rpd}`, '10/250');
+check('free account without model uses default', getLimits({}, free, undefined).rpd, 100);
+check('paid account unlimited without entry', getLimits({}, paid, 'gemini-2.5-pro'), null);
+const paidConfig = { paid_limits: { 'gemini-2.5-pro': { rpm: 150, rpd: 10000 } } };
+check('paid_limits for paid accounts', getLimits(paidConfig, paid, 'gemini-2.5-pro').rpm, 150);
+const own = { ...free, limits: { 'gemini-2.5-pro': { rpm: 2, rpd: 5 } } };
+check('account limits first', getLimits(paidConfig, own, 'gemini-2.5-pro').rpd, 5);
+check('unknown free model unlimited', getLimits({}, free, 'gemini-experimental'), null);
+console.log('\n');
+
+// Test 2: Usage and remaining quota
+console.log('Test 2: Usage and Remaining Quota');
+console.log('---------------------------------');
+incrementUsage('free-a', 'gemini-2.5-flash');
+incrementUsage('free-a', 'gemini-2.5-flash');
+incrementUsage('free-a', 'gemini-2.5-flash');
+incrementUsage('free-a');
+const usage = loadUsage();
+check('account requests counted', usage.accounts['free-a'].requests, 4);
+check('requests counted per model', usage.accounts['free-a'].models['gemini-2.5-flash'].requests, 3);
+check('default model counted', usage.accounts['free-a'].models['gemini-2.5-pro'].requests, 1);
+const flash = getQuota({}, usage, free, 'gemini-2.5-flash');
+check('rpm remaining', flash.rpm_remaining, 7);
+check('rpd remaining', flash.rpd_remaining, 247);
+check('not exhausted', flash.exhausted, false);
+const unlimited = getQuota({}, usage, paid, 'gemini-2.5-pro');
+check('unlimited account', unlimited.limited, false);
+check('unlimited account still counts', unlimited.requests_today, 0);
+check('fresh account has full quota', getQuota({}, usage, { ...free, name: 'free-b' }, 'gemini-2.5-flash').rpd_remaining, 250);
+console.log('\n');
+
+// Test 3: Exhaustion
+console.log('Test 3: Exhaustion');
+console.log('------------------');
+incrementUsage('free-a');
+incrementUsage('free-a');
+const perMinute = getQuota({}, loadUsage(), own, 'gemini-2.5-pro');
+check('rpm used up', `${perMinute.exhausted}:${perMinute.reason}`, 'true:rpm');
+check('retry within a minute', perMinute.retry_after_seconds > 0 && perMinute.retry_after_seconds <= 60, true);
+incrementUsage('free-a');
+incrementUsage('free-a');
+const perDay = getQuota({}, loadUsage(), own, 'gemini-2.5-pro');
+check('rpd used up', `${perDay.exhausted}:${perDay.reason}`, 'true:rpd');
+check('rpd remaining zero', perDay.rpd_remaining, 0);
+const stale = loadUsage();
+stale.date = '2000-01-01';
+fs.writeFileSync(USAGE_FILE, JSON.stringify(stale));
+check('new day resets the counters', getQuota({}, loadUsage(), own, 'gemini-2.5-pro').exhausted, false);
+console.log('\n');
+
+// Test 4: Rotation to the next account
+console.log('Test 4: Rotation');
+console.log('----------------');
+fs.rmSync(USAGE_FILE, { force: true });
+writeAccounts({
+  accounts: [
+    { ...free, limits: { 'gemini-2.5-pro': { rpm: 1, rpd: 100 } } },
+    { name: 'free-off', type: 'free', active: false, priority: 2 },
+    { name: 'free-b', type: 'free', active: true, priority: 3 }
+  ],
+  current_index: 0,
+  strategy: 'free_first'
+});
+const config = loadConfig();
+incrementUsage('free-a', 'gemini-2.5-pro');
+check('first account exhausted', getQuota(config, loadUsage(), config.accounts[0], 'gemini-2.5-pro').exhausted, true);
+const rotation = rotateToNext(config);
+check('inactive account skipped', rotation.current && rotation.current.name, 'free-b');
+check('next account has quota', getQuota(config, loadUsage(), config.accounts[config.current_index], 'gemini-2.5-pro').rpm_remaining, 5);
+check('rotation saved', loadConfig().current_index, 2);
+console.log('\n');
+
+// Test 5: limits action
+console.log('Test 5: limits Action');
+console.log('---------------------');
+const shown = runCommand({ action: 'limits' });
+check('free limits shown', shown.free_limits['gemini-2.5-pro'].rpm, 5);
+check('no paid limits yet', JSON.stringify(shown.limits), '{}');
+const setPaid = runCommand({ action: 'limits', model: 'gemini-2.5-pro', rpm: 150, rpd: 10000 });
+check('paid limits set', setPaid.success, true);
+check('paid limits saved', loadConfig().paid_limits['gemini-2.5-pro'].rpd, 10000);
+runCommand({ action: 'limits', name: 'free-b', model: 'gemini-2.5-flash', rpm: 4, rpd: 20 });
+check('account limits saved', loadConfig().accounts[2].limits['gemini-2.5-flash'].rpm, 4);
+check('invalid limits rejected', runCommand({ action: 'limits', model: 'gemini-2.5-pro', rpm: 0, rpd: 10 }).error, 'invalid_limits');
+check('unknown account', runCommand({ action: 'limits', name: 'nope' }).error, 'not_found');
+const status = runCommand({ action: 'status' });
+check('status shows remaining quota', status.current_account.quota['gemini-2.5-flash'].rpd_remaining, 20);
+const addWith = (limits) => runCommand({ action: 'add', name: 'free-c', api_key: 'key-c', limits });
+check('add rejects zero rpm', addWith({ 'gemini-2.5-pro': { rpm: 0, rpd: 10 } }).error, 'invalid_limits');
+check('add rejects missing rpd', addWith({ 'gemini-2.5-pro': { rpm: 5 } }).error, 'invalid_limits');
+check('add rejects non-object limits', addWith(['gemini-2.5-pro']).error, 'invalid_limits');
+check('add accepts valid limits', addWith({ 'gemini-2.5-pro': { rpm: 5, rpd: 50 } }).success, true);
+check('added limits saved', loadConfig().accounts.find(a => a.name === 'free-c').limits['gemini-2.5-pro'].rpd, 50);
+console.log('\n');
+
+// Test 6: Rotation in gemini-cli-improved
+console.log('Test 6: CLI Rotation');
+console.log('--------------------');
+// Stub CLI: logs the key it was called with, key-limited answers with a 429
+const bin = path.join(process.env.HOME, 'bin');
+const calls = path.join(process.env.HOME, 'calls.log');
+fs.mkdirSync(bin);
+fs.writeFileSync(path.join(bin, 'gemini'), `#!/bin/sh
+echo "$GEMINI_API_KEY" >> "${calls}"
+case "$GEMINI_API_KEY" in
+  key-limited*) echo "429 Too Many Requests: quota exceeded" >&2; exit 1;;
+esac
+echo "answer from $GEMINI_API_KEY"
+`, { mode: 0o755 });
+process.env.PATH = `${bin}${path.delimiter}${process.env.PATH}`;
+const calledWith = () => fs.readFileSync(calls, 'utf8').trim().split('\n').join(',');
+
+async function runRotationTests() {
+  fs.rmSync(USAGE_FILE, { force: true });
+  writeAccounts({
+    accounts: [
+      { name: 'limited', type: 'free', api_key: 'key-limited', active: true, priority: 1 },
+      { name: 'ok', type: 'free', api_key: 'key-ok', active: true, priority: 2 }
+    ],
+    current_index: 5,
+    strategy: 'free_first'
+  });
+  check('stale index corrected', getCurrentAccount(loadConfig()).name, 'limited');
+  check('corrected index saved', loadConfig().current_index, 0);
+
+  const rotated = await runGeminiWithAccounts('Hi', undefined, false, undefined);
+  check('rotated on 429', `${rotated.ok}:${rotated.account}`, 'true:ok');
+  check('answer from next account', rotated.output, 'answer from key-ok');
+  check('both keys tried in order', calledWith(), 'key-limited,key-ok');
+  check('rotation persisted', loadConfig().current_index, 1);
+  check('both requests counted', Object.keys(loadUsage().accounts).join(','), 'limited,ok');
+
+  fs.rmSync(calls);
+  writeAccounts({
+    accounts: [
+      { name: 'spent', type: 'free', api_key: 'key-spent', active: true, priority: 1, limits: { 'gemini-2.5-pro': { rpm: 1, rpd: 1 } } },
+      { name: 'limited', type: 'free', api_key: 'key-limited-2', active: true, priority: 2 }
+    ],
+    current_index: 0,
+    strategy: 'free_first'
+  });
+  incrementUsage('spent');
+  const failed = await runGeminiWithAccounts('Hi', undefined, false, undefined);
+  check('all accounts limited', failed.type, 'limit');
+  check('exhausted account not called', calledWith(), 'key-limited-2');
+  check('accounts tried', failed.accounts_tried.join(','), 'limited');
+  check('accounts exhausted', failed.accounts_exhausted.map(e => `${e.account}:${e.reason}`).join(','), 'spent:rpd');
+  console.log('\n');
+
+  fs.rmSync(process.env.HOME, { recursive: true, force: true });
+
+  console.log('=== All Tests Complete ===');
+}
+
+runRotationTests().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
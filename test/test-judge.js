@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for judge mode parsing
+ *
+ * Usage: node test-judge.js
+ */
+
+const { anonymize, buildJudgePrompt, parseJudgement } = require('../lib/judge.js');
+const { check } = require('./helpers.js');
+
+console.log('=== Judge Test Suite ===\n');
+
+const labeled = anonymize([
+  { provider: 'codex', output: 'Answer from codex' },
+  { provider: 'gemini', output: 'Answer from gemini' }
+]);
+
+// Test 1: Anonymization
+console.log('Test 1: Anonymization');
+console.log('---------------------');
+const prompt = buildJudgePrompt('Explain quicksort', labeled);
+check('labels', labeled.map(c => c.label).join(','), 'A,B');
+check('providers kept', labeled.map(c => c.provider).sort().join(','), 'codex,gemini');
+check('no provider names in prompt', /codex|gemini/.test(prompt.replace(/Answer from \w+/g, '')), false);
+console.log('\n');
+
+// Test 2: Parsing judge replies
+console.log('Test 2: Parsing Judge Replies');
+console.log('-----------------------------');
+const plain = parseJudgement('{"ranking": [{"label": "b", "score": 9, "reasoning": "x"}, {"label": "A", "score": 4}], "winner": "B"}', labeled);
+check('plain ok', plain.ok, true);
+check('winner mapped', plain.winner.provider, labeled[1].provider);
+check('rank order', plain.ranking.map(r => r.label).join(','), 'B,A');
+
+const fenced = parseJudgement('Verdict:\n```json\n{"ranking": [{"label": "A", "score": "7"}]}\n```', labeled);
+check('fenced ok', fenced.ok, true);
+check('score coerced', fenced.ranking[0].score, 7);
+check('winner defaults to first', fenced.winner.label, 'A');
+check('unranked reported', fenced.unranked.join(','), 'B');
+
+check('prose only', parseJudgement('I think A is best.', labeled).ok, false);
+check('unknown labels', parseJudgement('{"ranking": [{"label": "Z"}]}', labeled).ok, false);
+check('non-object entries', parseJudgement('{"ranking": [null, 3, "A"]}', labeled).ok, false);
+check('non-object entries skipped', parseJudgement('{"ranking": [null, {"label": "B"}]}', labeled).ranking.map(r => r.label).join(','), 'B');
+console.log('\n');
+
+console.log('=== All Tests Complete ===');
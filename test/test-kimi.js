@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the Kimi command: stream-json parsing, the legacy text
+ * fallback and a run against a stub `kimi` executable
+ *
+ * Usage: node test-kimi.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Stub CLI and config live in a temporary home directory
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'kimi-test-'));
+const binDir = path.join(process.env.HOME, 'bin');
+fs.mkdirSync(binDir);
+fs.mkdirSync(path.join(process.env.HOME, '.kimi'));
+fs.writeFileSync(path.join(process.env.HOME, '.kimi', 'config.json'),
+  JSON.stringify({ default_model: 'kimi-latest', providers: { moonshot: {} } }));
+process.env.PATH = `${binDir}:${process.env.PATH}`;
+process.env.CLAUDE_PROJECT_DIR = process.env.HOME;
+const argsFile = path.join(process.env.HOME, 'args.txt');
+
+const { callKimiCLI, createKimiMessageCollector, parseKimiText } = require('../commands/kimi-cli.cjs');
+const { check } = require('./helpers.js');
+
+const TRANSCRIPT = [
+  { role: 'assistant', content: [{ type: 'think', think: 'look first' }, { type: 'text', text: "Let's check it's \"quoted\"" }],
+    tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'ReadFile', arguments: '{"path":"a.txt"}' } }] },
+  { role: 'tool', tool_call_id: 'call_1', content: [{ type: 'text', text: 'file body' }] },
+  { role: 'assistant', content: 'Done:\nline one\\nstill one' }
+].map(message => JSON.stringify(message)).join('\n') + '\n';
+
+// Writes a stub kimi that prints `stdout` for stream-json (or rejects the
+// format when `legacy` is set)
+function installStub(stdout, legacy = false) {
+  const script = legacy
+    ? `#!/bin/sh
+case "$*" in *stream-json*) echo "Error: Invalid value for '--output-format'" >&2; exit 2;; esac
+printf '%s\\n' "TextPart(type='text', text='legacy answer')"
+`
+    : `#!/bin/sh\necho "$@" > "${argsFile}"\ncat <<'EOF'\n${stdout}EOF\n`;
+  fs.writeFileSync(path.join(binDir, 'kimi'), script, { mode: 0o755 });
+}
+
+async function main() {
+  console.log('=== Kimi Test Suite ===\n');
+
+  // Test 1: stream-json collector
+  console.log('Test 1: Stream-JSON Parsing');
+  console.log('---------------------------');
+  const events = [];
+  const collector = createKimiMessageCollector((event, data) => events.push([event, data]));
+  TRANSCRIPT.split('\n').forEach(collector.handleLine);
+  collector.handleLine('not json at all');
+  const parsed = collector.result();
+  check('messages counted', parsed.messages, 3);
+  check('quotes survive', parsed.steps[0].text, "Let's check it's \"quoted\"");
+  check('thinking dropped from text', parsed.output.includes('look first'), false);
+  check('multi-part output', parsed.output, "Let's check it's \"quoted\"\nDone:\nline one\\nstill one");
+  check('tool call name', parsed.steps[0].tool_calls[0].name, 'ReadFile');
+  check('tool call arguments parsed', parsed.steps[0].tool_calls[0].arguments.path, 'a.txt');
+  check('tool result attached', parsed.steps[0].tool_calls[0].result, 'file body');
+  check('event order', events.map(([event]) => event).join(','), 'delta,tool_call,tool_result,delta');
+  console.log('\n');
+
+  // Test 2: Legacy text fallback
+  console.log('Test 2: Text Fallback');
+  console.log('---------------------');
+  check('TextPart repr', parseKimiText("StepBegin(n=1)\nTextPart(type='text', text='hello')\n"), 'hello');
+  check('plain text', parseKimiText('StatusUpdate(x)\nplain answer\n'), 'plain answer');
+  console.log('\n');
+
+  // Test 3: Runs against a stub CLI
+  console.log('Test 3: CLI Runs');
+  console.log('----------------');
+  installStub(TRANSCRIPT);
+  const deltas = [];
+  const structured = await callKimiCLI('hi', 'kimi-latest', false, { onEvent: (event, data) => event === 'delta' && deltas.push(data.text) });
+  check('structured output', structured.output.startsWith("Let's check"), true);
+  check('steps returned', structured.steps.length, 2);
+  check('no raw JSON streamed', deltas.some(text => text.includes('"role"')), false);
+
+  const args = fs.readFileSync(argsFile, 'utf8');
+  check('runs in project root', args.includes(`-w ${fs.realpathSync(process.env.HOME)} `), true);
+  check('read-only without yolo', args.includes('--yolo'), false);
+  await callKimiCLI('hi', 'kimi-latest', true, { workdir: 'bin' });
+  const yoloArgs = fs.readFileSync(argsFile, 'utf8');
+  check('relative workdir passed', yoloArgs.includes(`-w ${fs.realpathSync(binDir)} `), true);
+  check('yolo on request', yoloArgs.includes('--yolo'), true);
+  const outside = await callKimiCLI('hi', 'kimi-latest', false, { workdir: os.tmpdir() });
+  check('workdir outside allowlist', outside.type, 'invalid_request');
+
+  installStub('', true);
+  const legacy = await callKimiCLI('hi', 'kimi-latest', false);
+  check('falls back to text format', legacy.output, 'legacy answer');
+  check('no steps in text mode', legacy.steps, undefined);
+  console.log('\n');
+
+  fs.rmSync(process.env.HOME, { recursive: true, force: true });
+
+  console.log('=== All Tests Complete ===');
+}
+
+main();
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the OpenAI-compatible provider: endpoint resolution,
+ * validation and chat completions (plain and streamed) against a local
+ * HTTP stub
+ *
+ * Usage: node test-openai-compatible.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFile } = require('child_process');
+
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'openai-compatible-test-'));
+process.env.MULTI_PROVIDER_CONFIG = path.join(process.env.HOME, 'config.json');
+delete process.env.OPENAI_BASE_URL;
+delete process.env.DASHSCOPE_API_KEY;
+
+const { check } = require('./helpers.js');
+
+function sse(chunks) {
+  return chunks.map(chunk => `data: ${typeof chunk === 'string' ? chunk : JSON.stringify(chunk)}\n\n`).join('');
+}
+
+const delta = (content, finish_reason = null) => ({ model: 'stub-model', choices: [{ index: 0, delta: { content }, finish_reason }] });
+
+// The stub answers according to the prompt of the last message
+const STREAMS = {
+  ok: sse([
+    delta('Hel'),
+    ': keep-alive',
+    delta('lo'),
+    delta('', 'stop'),
+    { choices: [], usage: { prompt_tokens: 9, completion_tokens: 2 } },
+    '[DONE]'
+  ]),
+  failing: sse([delta('Par'), { error: { message: 'model overloaded', type: 'server_error' } }]),
+  truncated: sse([delta('Par')])
+};
+
+// Runs the command asynchronously, so the in-process stub can answer
+function runCommand(payload) {
+  return new Promise((resolve) => {
+    const child = execFile(process.execPath, [path.join(__dirname, '..', 'commands', 'openai-compatible-cli.cjs')], (err, stdout) => {
+      resolve(JSON.parse(stdout));
+    });
+    child.stdin.end(JSON.stringify(payload));
+  });
+}
+
+function startStub(requests) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      requests.push({ url: req.url, headers: req.headers, body: request });
+      const prompt = request.messages[request.messages.length - 1].content;
+      if (prompt === 'limit') {
+        res.writeHead(429, { 'Content-Type': 'application/json' });
+        res.end('{"error":{"message":"rate limited"}}');
+        return;
+      }
+      if (!request.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          model: 'stub-model',
+          choices: [{ index: 0, message: { role: 'assistant', content: `echo: ${prompt}` }, finish_reason: 'length' }],
+          usage: { prompt_tokens: 5, completion_tokens: 3 }
+        }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      if (prompt === 'dropped') {
+        // Connection lost mid-stream
+        res.write(STREAMS.truncated);
+        setTimeout(() => res.destroy(), 20);
+        return;
+      }
+      // Split the body at odd offsets to exercise partial lines
+      const payload = STREAMS[prompt] || STREAMS.ok;
+      for (let i = 0; i < payload.length; i += 29) {
+        res.write(payload.slice(i, i + 29));
+      }
+      res.end();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function main() {
+  console.log('=== OpenAI-Compatible Test Suite ===\n');
+
+  const requests = [];
+  const server = await startStub(requests);
+  const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  fs.writeFileSync(process.env.MULTI_PROVIDER_CONFIG, JSON.stringify({
+    openai_endpoints: {
+      local: { base_url: `${baseUrl}/`, default_model: 'stub-model' },
+      keyed: { base_url: baseUrl, api_key_env: 'TEST_LLM_KEY', default_model: 'a', models: ['a', 'b'] },
+      broken: { label: 'no base url' },
+      bad: { base_url: 'http://local host:8000/v1' }
+    }
+  }));
+
+  const {
+    listEndpoints,
+    resolveEndpoint,
+    getEndpointApiKey,
+    pickChatParams,
+    validateChatRequest,
+    runChat
+  } = require('../lib/openai-compatible.js');
+
+  // Test 1: Endpoint resolution
+  console.log('Test 1: Endpoint Resolution');
+  console.log('---------------------------');
+  const local = resolveEndpoint('local');
+  const keyed = resolveEndpoint('keyed');
+  check('endpoints listed', listEndpoints().join(','), 'dashscope,moonshot,openai,local,keyed,broken,bad');
+  check('chat completions url', local.url.href, `${baseUrl}/chat/completions`);
+  check('generic provider name', local.provider, 'openai-compatible');
+  check('own breaker state', path.basename(local.state_file), '.claude-openai-compatible-local-state.json');
+  check('endpoint without base_url', resolveEndpoint('broken'), null);
+  const bad = resolveEndpoint('bad');
+  check('malformed base url resolved without url', bad.url, null);
+  check('malformed base url reported', bad.invalid_url, "Endpoint 'bad' has an invalid base URL 'http://local host:8000/v1'.");
+  const refused = await runChat(bad, 'Hello', undefined, null);
+  check('malformed base url refused', `${refused.type}: ${refused.message}`, `invalid_request: ${bad.invalid_url}`);
+  check('preset url', resolveEndpoint('dashscope').url.href, 'https://dashscope-intl.aliyuncs.com/compatible-mode/v1/chat/completions');
+  process.env.OPENAI_BASE_URL = 'http://127.0.0.1:9999/v1';
+  check('runtime base url override', resolveEndpoint('openai').url.href, 'http://127.0.0.1:9999/v1/chat/completions');
+  delete process.env.OPENAI_BASE_URL;
+  check('no key source', getEndpointApiKey(local), null);
+  process.env.TEST_LLM_KEY = 'secret';
+  check('key from env', getEndpointApiKey(keyed), 'secret');
+  console.log('\n');
+
+  // Test 2: Validation
+  console.log('Test 2: Validation');
+  console.log('------------------');
+  check('keeps chat params', Object.keys(pickChatParams({ prompt: 'x', system: 's', temperature: 1.5, stream: true })).join(','), 'system,temperature');
+  check('valid request', validateChatRequest(keyed, 'b', { temperature: 1.5, stop_sequences: ['END'] }), null);
+  const invalid = [
+    ['model outside list', 'c', {}, 'not available'],
+    ['temperature > 2', 'a', { temperature: 2.5 }, '`temperature`'],
+    ['system blocks', 'a', { system: [{ type: 'text', text: 's' }] }, '`system`'],
+    ['five stop sequences', 'a', { stop_sequences: ['1', '2', '3', '4', '5'] }, '`stop_sequences`']
+  ];
+  for (const [label, model, params, needle] of invalid) {
+    check(label, (validateChatRequest(keyed, model, params) || '').includes(needle), true);
+  }
+  console.log('\n');
+
+  // Test 3: Plain completion
+  console.log('Test 3: Plain Completion');
+  console.log('------------------------');
+  const plain = await runChat(local, 'hi', undefined, null, {}, { system: 'be brief', stop_sequences: ['END'] });
+  const sent = requests[requests.length - 1];
+  check('output', plain.output, 'echo: hi');
+  check('finish reason as stop_reason', plain.stop_reason, 'length');
+  check('usage mapped', `${plain.usage.input_tokens}/${plain.usage.output_tokens}`, '5/3');
+  check('system message first', sent.body.messages[0].role, 'system');
+  check('stop sent as stop', sent.body.stop.join(','), 'END');
+  check('no auth header without key', sent.headers.authorization, undefined);
+
+  await runChat(keyed, 'hi', 'b', 'secret');
+  check('bearer auth', requests[requests.length - 1].headers.authorization, 'Bearer secret');
+  const missingKey = await runChat(keyed, 'hi', 'b', null);
+  check('missing key', missingKey.type, 'auth');
+  console.log('\n');
+
+  // Test 4: Streaming
+  console.log('Test 4: Streaming');
+  console.log('-----------------');
+  const deltas = [];
+  const onEvent = (event, data) => deltas.push(data.text);
+  const streamed = await runChat(local, 'ok', undefined, null, { onEvent });
+  check('assembled output', streamed.output, 'Hello');
+  check('incremental deltas', deltas.join('|'), 'Hel|lo');
+  check('stop reason', streamed.stop_reason, 'stop');
+  check('usage from final chunk', `${streamed.usage.input_tokens}/${streamed.usage.output_tokens}`, '9/2');
+  check('usage requested', requests[requests.length - 1].body.stream_options.include_usage, true);
+
+  const failing = await runChat(local, 'failing', undefined, null, { onEvent });
+  check('mid-stream error', failing.type, 'server_error');
+  const truncated = await runChat(local, 'truncated', undefined, null, { onEvent });
+  check('stream without finish', truncated.type, 'server_error');
+  const limited = await runChat(local, 'limit', undefined, null, { onEvent });
+  check('HTTP 429', limited.type, 'limit');
+
+  const breaker = await runChat(local, 'ok', undefined, null, { onEvent });
+  check('breaker opens after 3 failures', breaker.type, 'circuit_breaker');
+  check('other endpoints unaffected', (await runChat(keyed, 'hi', 'a', 'secret')).ok, true);
+
+  fs.rmSync(local.state_file, { force: true });
+  const dropped = await runChat(local, 'dropped', undefined, null, { onEvent });
+  check('dropped connection settles', dropped.type, 'server_error');
+  check('dropped connection reported', dropped.message.includes('connection lost'), true);
+  check('dropped connection counted', JSON.parse(fs.readFileSync(local.state_file, 'utf8')).failures.length, 1);
+  console.log('\n');
+
+  // Test 5: Command
+  console.log('Test 5: Command');
+  console.log('---------------');
+  fs.rmSync(local.state_file, { force: true });
+  const response = await runCommand({ endpoint: 'local', prompt: 'Explain X', inject_context: false, context: 'X is a queue.' });
+  check('context forwarded', response.output, 'echo: # Additional Context\nX is a queue.\n\n# Task\nExplain X');
+  check('context_injection returned', response.context_injection.context_tokens > 0, true);
+  check('task type returned', response.context_injection.task_type, 'explanation');
+  console.log('\n');
+
+  server.close();
+  fs.rmSync(process.env.HOME, { recursive: true, force: true });
+
+  console.log('=== All Tests Complete ===');
+}
+
+main();
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the provider registry
+ *
+ * Usage: node test-providers.js
+ */
+
+const {
+  listProviders,
+  resolveProvider,
+  validateRequest,
+  runProvider,
+  buildFallbackChain
+} = require('../lib/providers.js');
+const { check } = require('./helpers.js');
+
+console.log('=== Provider Registry Test Suite ===\n');
+
+// Test 1: Provider resolution
+console.log('Test 1: Provider Resolution');
+console.log('---------------------------');
+check('codex', resolveProvider('codex'), 'codex');
+check('openai alias', resolveProvider('openai'), 'codex');
+check('GEMINI (case)', resolveProvider('GEMINI'), 'gemini');
+check('moonshot alias', resolveProvider('moonshot'), 'kimi');
+check('glm alias', resolveProvider('glm'), 'zai');
+check('unknown', resolveProvider('claude'), null);
+check('missing', resolveProvider(undefined), null);
+console.log(`Providers: ${listProviders().join(', ')}`);
+console.log('\n');
+
+// Test 2: Request validation
+console.log('Test 2: Request Validation');
+console.log('--------------------------');
+check('valid request', validateRequest({ prompt: 'hi' }), null);
+check('missing prompt', validateRequest({}) !== null, true);
+check('non-string model', validateRequest({ prompt: 'hi', model: 42 }) !== null, true);
+check('valid access', validateRequest({ prompt: 'hi', access: 'edit' }), null);
+check('invalid access', validateRequest({ prompt: 'hi', access: 'root' }) !== null, true);
+console.log('\n');
+
+// Test 3: Fallback chain
+console.log('Test 3: Fallback Chain');
+console.log('----------------------');
+check('explicit chain', buildFallbackChain('openai', ['qwen', 'codex', 'nope']).join(','), 'codex,qwen');
+check('configured chain', buildFallbackChain('zai', true).join(','), 'zai,gemini,qwen,codex');
+console.log('\n');
+
+// Test 4: Unknown provider envelope
+console.log('Test 4: Unknown Provider Envelope');
+console.log('---------------------------------');
+runProvider('claude', { prompt: 'hi' }).then((response) => {
+  check('success', response.success, false);
+  check('error_type', response.error_type, 'invalid_provider');
+  console.log('\n');
+  console.log('=== All Tests Complete ===');
+});
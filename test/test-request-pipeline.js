@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the shared request pipeline: system prompts and context
+ * injection
+ *
+ * Usage: node test-request-pipeline.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep sessions, cache entries and usage records out of the real ~/.claude
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-test-'));
+process.env.MULTI_PROVIDER_CONFIG = path.join(process.env.HOME, 'config.json');
+fs.writeFileSync(process.env.MULTI_PROVIDER_CONFIG, JSON.stringify({ inject_context: { qwen: true } }));
+const RULES = '# Test Rules\n\n## Style\n- Small diffs\n\n## Safety\n- No secrets\n';
+process.env.MULTI_PROVIDER_CORE_RULES = path.join(process.env.HOME, 'CORE_RULES.md');
+fs.writeFileSync(process.env.MULTI_PROVIDER_CORE_RULES, RULES);
+
+const { runRequest } = require('../lib/request-pipeline.js');
+const { estimateTokens } = require('../lib/tokens.js');
+const { check } = require('./helpers.js');
+
+async function main() {
+  console.log('=== Request Pipeline Test Suite ===\n');
+
+  let sent = null;
+  const exec = async (prompt) => {
+    sent = prompt;
+    return { ok: true, output: `answer to ${prompt.length} chars` };
+  };
+
+  // Test 1: System prompts
+  console.log('Test 1: System Prompts');
+  console.log('----------------------');
+  await runRequest({ provider: 'kimi', prompt: 'Explain X', options: { system: 'Answer in German.' } }, exec);
+  check('prepended for CLI providers', sent.startsWith('# System\nAnswer in German.\n\n'), true);
+  check('prompt kept as task', sent.endsWith('# Task\nExplain X'), true);
+
+  await runRequest({ provider: 'kimi', prompt: 'Explain X', options: {} }, exec);
+  check('untouched without system', sent, 'Explain X');
+
+  await runRequest({ provider: 'zai', prompt: 'Explain X', nativeSystem: true, options: { system: 'Answer in German.' } }, exec);
+  check('left to native providers', sent, 'Explain X');
+
+  const invalid = await runRequest({ provider: 'kimi', prompt: 'Explain X', options: { system: ['blocks'] } }, exec);
+  check('non-string rejected', invalid.type, 'invalid_request');
+
+  await runRequest({ provider: 'kimi', prompt: 'Go on', options: { sessionId: 'sys', system: 'Be brief.' } }, exec);
+  await runRequest({ provider: 'kimi', prompt: 'And then?', options: { sessionId: 'sys', system: 'Be brief.' } }, exec);
+  check('system precedes transcript', sent.indexOf('# System') < sent.indexOf('Go on'), true);
+  check('system not stored in session', sent.split('Be brief.').length, 2);
+  console.log('\n');
+
+  // Test 2: Cache keys
+  console.log('Test 2: Cache Keys');
+  console.log('------------------');
+  const cached = (system) => runRequest({ provider: 'kimi', prompt: 'Cache me', options: { cache: true, system } }, exec);
+  await cached(undefined);
+  check('same prompt without system hits', (await cached(undefined)).cached, true);
+  check('system changes the key', (await cached('Be brief.')).cached, undefined);
+  console.log('\n');
+
+  // Test 3: Context injection
+  console.log('Test 3: Context Injection');
+  console.log('-------------------------');
+  const plain = await runRequest({ provider: 'kimi', prompt: 'Fix the bug', options: {} }, exec);
+  check('off by default', plain.context_injection, undefined);
+
+  const configured = await runRequest({ provider: 'qwen', prompt: 'Fix the bug', options: {} }, exec);
+  check('on by config', configured.context_injection.task_type, 'debugging');
+  check('prompt wrapped', sent.endsWith('# Task\nFix the bug'), true);
+  check('rules injected', sent.startsWith(`# Context and Rules\n${RULES}`), true);
+  check('rules reported', configured.context_injection.rules.join(','), 'Test Rules,Style,Safety');
+  check('rules source', configured.context_injection.rules_source, 'env');
+  check('rules tokens', configured.context_injection.rules_tokens, estimateTokens(RULES, 'qwen'));
+  const disabled = await runRequest({ provider: 'qwen', prompt: 'Fix the bug', options: { injectContext: false } }, exec);
+  check('request overrides config', disabled.context_injection, undefined);
+
+  const withContext = await runRequest({ provider: 'kimi', prompt: 'Explain X', options: { context: 'X is a queue.', taskType: 'explanation', system: 'Be brief.' } }, exec);
+  check('context section', sent.includes('# Additional Context\nX is a queue.'), true);
+  check('system still first', sent.startsWith('# System\nBe brief.'), true);
+  check('context tokens', withContext.context_injection.context_tokens, 4);
+  check('explicit task type', withContext.context_injection.task_type, 'explanation');
+
+  const badType = await runRequest({ provider: 'kimi', prompt: 'Explain X', options: { taskType: 'poetry' } }, exec);
+  check('unknown task_type rejected', badType.type, 'invalid_request');
+
+  const keyed = (context) => runRequest({ provider: 'kimi', prompt: 'Cache context', options: { cache: true, context } }, exec);
+  await keyed('first');
+  check('same context hits', (await keyed('first')).cached, true);
+  check('context changes the key', (await keyed('second')).cached, undefined);
+  console.log('\n');
+
+  fs.rmSync(process.env.HOME, { recursive: true, force: true });
+
+  console.log('=== All Tests Complete ===');
+}
+
+main();
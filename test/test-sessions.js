@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for chat sessions
+ *
+ * Usage: node test-sessions.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep test sessions out of the real ~/.claude
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-test-'));
+
+const {
+  isValidSessionId,
+  loadSession,
+  createSession,
+  appendTurn,
+  listSessions,
+  forkSession,
+  deleteSession,
+  buildTranscriptPrompt
+} = require('../lib/sessions.js');
+const { check } = require('./helpers.js');
+
+console.log('=== Sessions Test Suite ===\n');
+
+// Test 1: Session id validation
+console.log('Test 1: Session Id Validation');
+console.log('-----------------------------');
+check('simple id', isValidSessionId('review-42'), true);
+check('path traversal', isValidSessionId('../secrets'), false);
+check('hidden file', isValidSessionId('.hidden'), false);
+check('empty', isValidSessionId(''), false);
+check('too long', isValidSessionId('x'.repeat(65)), false);
+console.log('\n');
+
+// Test 2: Transcript prompt
+console.log('Test 2: Transcript Prompt');
+console.log('-------------------------');
+check('no history', buildTranscriptPrompt([], 'Hello'), 'Hello');
+const transcript = buildTranscriptPrompt([
+  { role: 'user', content: 'What is 2+2?' },
+  { role: 'assistant', content: '4', provider: 'gemini' }
+], 'And times 3?');
+check('has history header', transcript.startsWith('# Conversation so far'), true);
+check('names provider', transcript.includes('## Assistant (gemini)\n4'), true);
+check('ends with prompt', transcript.endsWith('# Current message\nAnd times 3?'), true);
+console.log('\n');
+
+// Test 3: Persistence, fork and delete
+console.log('Test 3: Persistence, Fork, Delete');
+console.log('---------------------------------');
+const session = createSession('t1');
+appendTurn(session, { provider: 'zai', model: 'm', prompt: 'one', output: '1' });
+appendTurn(session, { provider: 'qwen', prompt: 'two', output: '2' });
+check('stored messages', loadSession('t1').messages.length, 4);
+const fork = forkSession('t1', 't2', 1);
+check('fork keeps first turn', fork.messages.length, 2);
+check('fork origin', loadSession('t2').forked_from, 't1');
+check('fork of unknown', forkSession('nope'), null);
+check('list count', listSessions().length, 2);
+check('delete', deleteSession('t1'), true);
+check('deleted twice', deleteSession('t1'), false);
+console.log('\n');
+
+fs.rmSync(process.env.HOME, { recursive: true, force: true });
+
+console.log('=== All Tests Complete ===');
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the NDJSON event stream
+ *
+ * Usage: node test-stream.js
+ */
+
+const { createEventStream, createSseParser, createLineParser } = require('../lib/stream.js');
+const { check } = require('./helpers.js');
+
+console.log('=== Event Stream Test Suite ===\n');
+
+const lines = [];
+const out = { write: (chunk) => lines.push(chunk) };
+
+// Test 1: Event sequence
+console.log('Test 1: Event Sequence');
+console.log('----------------------');
+const events = createEventStream('codex', { model: 'gpt-5.1-codex' }, out);
+events.emit('delta', { text: 'Hello ' });
+events.emit('stderr', { text: 'warning' });
+events.end({ provider: 'codex', success: true, output: 'Hello world' });
+
+const parsed = lines.map(line => JSON.parse(line));
+check('one event per line', lines.every(line => line.endsWith('\n') && line.indexOf('\n') === line.length - 1), true);
+check('sequence', parsed.map(e => e.event).join(','), 'start,delta,stderr,done');
+check('start model', parsed[0].model, 'gpt-5.1-codex');
+check('provider stamped', parsed.every(e => e.provider === 'codex'), true);
+check('done output', parsed[3].output, 'Hello world');
+console.log('\n');
+
+// Test 2: Error terminal event
+console.log('Test 2: Error Event');
+console.log('-------------------');
+lines.length = 0;
+createEventStream('zai', {}, out).end({ provider: 'zai', success: false, error_type: 'auth' });
+const last = JSON.parse(lines[lines.length - 1]);
+check('terminal event', last.event, 'error');
+check('error_type', last.error_type, 'auth');
+console.log('\n');
+
+// Test 3: Server-sent events
+console.log('Test 3: SSE Parser');
+console.log('------------------');
+const sseEvents = [];
+const parser = createSseParser((name, data) => sseEvents.push(`${name}=${data}`));
+parser.push(': keep-alive\r\nevent: ping\r\ndata: {}\r');
+parser.push('\n\r\nda');
+parser.push('ta: line one\ndata:line two\nid: 7\n\n');
+parser.push('event: message_stop\ndata: {"type":"message_stop"}');
+parser.end();
+check('event count', sseEvents.length, 3);
+check('named event with CRLF', sseEvents[0], 'ping={}');
+check('split chunk, multi-line data', sseEvents[1], 'message=line one\nline two');
+check('flushed on end', sseEvents[2], 'message_stop={"type":"message_stop"}');
+
+const cjkEvents = [];
+const cjkParser = createSseParser((name, data) => cjkEvents.push(data));
+const cjk = Buffer.from('data: {"text":"中"}\n\n', 'utf8');
+cjkParser.push(cjk.subarray(0, 16));
+cjkParser.push(cjk.subarray(16));
+cjkParser.end();
+check('split multi-byte character', cjkEvents[0], '{"text":"中"}');
+console.log('\n');
+
+// Test 4: Line-delimited output
+console.log('Test 4: Line Parser');
+console.log('-------------------');
+const jsonLines = [];
+const lineParser = createLineParser(line => jsonLines.push(line));
+const umlaut = Buffer.from('{"text":"ü"}\r\n{"n":', 'utf8');
+lineParser.push(umlaut.subarray(0, 10));
+lineParser.push(umlaut.subarray(10));
+lineParser.push('2}');
+lineParser.end();
+check('line count', jsonLines.length, 2);
+check('split multi-byte character, CRLF', jsonLines[0], '{"text":"ü"}');
+check('last line flushed on end', jsonLines[1], '{"n":2}');
+console.log('\n');
+
+console.log('=== All Tests Complete ===');
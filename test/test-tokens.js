@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for token estimates, context windows and the pipeline's
+ * context-window check
+ *
+ * Usage: node test-tokens.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Small windows for kimi (200 tokens after the answer reserve, capped at a
+// quarter of the window)
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-test-'));
+process.env.MULTI_PROVIDER_CONFIG = path.join(process.env.HOME, 'config.json');
+fs.writeFileSync(process.env.MULTI_PROVIDER_CONFIG, JSON.stringify({
+  context_windows: { kimi: 266, 'gemini/gemini-tiny': 4096 }
+}));
+
+const { getTokenizer, estimateTokens, getContextWindow } = require('../lib/tokens.js');
+const { runRequest } = require('../lib/request-pipeline.js');
+const { check } = require('./helpers.js');
+
+async function main() {
+  console.log('=== Tokens Test Suite ===\n');
+
+  // Test 1: Estimates
+  console.log('Test 1: Estimates');
+  console.log('-----------------');
+  check('flat default for latin text', estimateTokens('x'.repeat(400)), 100);
+  check('claude tokenizes denser', estimateTokens('x'.repeat(350), 'anthropic', 'claude-sonnet-4'), 100);
+  check('zai uses GLM for claude names', getTokenizer('zai', 'claude-3-5-sonnet'), 'glm');
+  check('generic endpoint by model', getTokenizer('openai-compatible', 'qwen3-max'), 'qwen');
+  check('CJK cheaper for qwen', estimateTokens('你好世界你好世界你好', 'qwen') < estimateTokens('你好世界你好世界你好', 'codex'), true);
+  check('empty text', estimateTokens(''), 0);
+  console.log('\n');
+
+  // Test 2: Context windows
+  console.log('Test 2: Context Windows');
+  console.log('-----------------------');
+  check('model table', getContextWindow('codex', 'gpt-5.1-codex'), 400000);
+  check('provider default', getContextWindow('gemini'), 1048576);
+  check('provider specific entry', getContextWindow('zai', 'claude-3-5-haiku'), 128000);
+  check('config per provider', getContextWindow('kimi', 'kimi-latest'), 266);
+  check('config per model', getContextWindow('gemini', 'gemini-tiny'), 4096);
+  check('unknown provider', getContextWindow('openai-compatible', 'local-model'), 128000);
+  console.log('\n');
+
+  // Test 3: Pipeline check
+  console.log('Test 3: Reject and Trim');
+  console.log('-----------------------');
+  let sent = null;
+  const exec = async (prompt) => {
+    sent = prompt;
+    return { ok: true, output: 'ok' };
+  };
+  const big = 'word '.repeat(400);
+
+  const rejected = await runRequest({ provider: 'kimi', prompt: big, options: {} }, exec);
+  check('too large rejected', rejected.type, 'too_large');
+  check('message names the limit', rejected.message.includes('accepts about 200'), true);
+  check('small prompt passes', (await runRequest({ provider: 'kimi', prompt: 'hi', options: {} }, exec)).ok, true);
+  const small = await runRequest({ provider: 'openai-compatible', model: 'moonshot-v1-8k', prompt: 'hi', options: {} }, exec);
+  check('small window keeps room for the prompt', small.ok, true);
+  const smallRejected = await runRequest({ provider: 'openai-compatible', model: 'moonshot-v1-8k', prompt: 'word '.repeat(6000), options: {} }, exec);
+  check('reserve capped at a quarter', smallRejected.message.includes('accepts about 6144'), true);
+  check('reserve from max_tokens', (await runRequest({ provider: 'gemini', model: 'gemini-tiny', prompt: big, settings: { max_tokens: 1000 }, options: {} }, exec)).ok, true);
+
+  const truncated = await runRequest({ provider: 'kimi', prompt: 'Explain the log', options: { context: big, contextStrategy: 'trim' } }, exec);
+  check('context truncated', truncated.trimmed.dropped[0].action, 'truncated');
+  check('fits after trimming', truncated.trimmed.tokens_after <= truncated.trimmed.limit, true);
+  check('task kept', sent.endsWith('# Task\nExplain the log'), true);
+  check('marker added', sent.includes('[... context truncated]'), true);
+  const trimCached = { provider: 'kimi', prompt: 'Explain the log', options: { context: big, contextStrategy: 'trim', cache: true } };
+  await runRequest(trimCached, exec);
+  check('trimmed answer not cached', (await runRequest(trimCached, exec)).cached, undefined);
+
+  for (let i = 0; i < 4; i++) {
+    await runRequest({ provider: 'kimi', prompt: `question ${i} ${'pad '.repeat(50)}`, options: { sessionId: 'long', contextStrategy: 'trim' } }, exec);
+  }
+  const history = await runRequest({ provider: 'kimi', prompt: 'and now?', options: { sessionId: 'long', contextStrategy: 'trim' } }, exec);
+  const dropped = history.trimmed.dropped.find(d => d.section === 'history');
+  check('oldest turns dropped', dropped.turns > 0, true);
+  check('oldest question gone', sent.includes('question 0'), false);
+  check('newest question kept', sent.includes('question 3'), true);
+
+  const hopeless = await runRequest({ provider: 'kimi', prompt: big, options: { contextStrategy: 'trim' } }, exec);
+  check('task never trimmed', hopeless.type, 'too_large');
+  const invalid = await runRequest({ provider: 'kimi', prompt: 'hi', options: { contextStrategy: 'squeeze' } }, exec);
+  check('unknown strategy', invalid.type, 'invalid_request');
+  console.log('\n');
+
+  fs.rmSync(process.env.HOME, { recursive: true, force: true });
+
+  console.log('=== All Tests Complete ===');
+}
+
+main();
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the usage ledger
+ *
+ * Usage: node test-usage.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep test records out of the real ~/.claude
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-test-'));
+
+const { LEDGER_FILE, readLedger, aggregateUsage, formatTable } = require('../lib/usage.js');
+const { runRequest } = require('../lib/request-pipeline.js');
+const { check } = require('./helpers.js');
+
+async function main() {
+  console.log('=== Usage Ledger Test Suite ===\n');
+
+  // Test 1: Recording through the pipeline
+  console.log('Test 1: Recording');
+  console.log('-----------------');
+  await runRequest({ provider: 'qwen', model: 'qwen3-max', prompt: 'x'.repeat(40) },
+    async () => ({ ok: true, output: 'y'.repeat(8) }));
+  await runRequest({ provider: 'zai', prompt: 'hello' },
+    async () => ({ ok: true, output: 'hi', usage: { input_tokens: 12, output_tokens: 3 } }));
+  await runRequest({ provider: 'zai', prompt: 'hello' },
+    async () => ({ ok: false, type: 'limit', message: 'slow down' }));
+
+  const records = readLedger();
+  check('records written', records.length, 3);
+  check('estimated input (qwen tokenizer)', records[0].input_tokens, 11);
+  check('estimated flag', records[0].estimated, true);
+  check('real counts used', records[1].input_tokens, 12);
+  check('real counts not estimated', records[1].estimated, false);
+  check('failure outcome', records[2].outcome, 'limit');
+  check('failure has no tokens', records[2].output_tokens, 0);
+  console.log('\n');
+
+  // Test 2: Aggregation and filters
+  console.log('Test 2: Aggregation');
+  console.log('-------------------');
+  fs.appendFileSync(LEDGER_FILE, '{broken line\n');
+  fs.appendFileSync(LEDGER_FILE, JSON.stringify({ ts: '2020-01-01T00:00:00Z', provider: 'zai', outcome: 'success' }) + '\n');
+
+  check('broken lines skipped', readLedger().length, 4);
+  check('from filter', readLedger({ from: '2021-01-01' }).length, 3);
+  check('provider filter', readLedger({ provider: 'zai' }).length, 3);
+
+  const byProvider = aggregateUsage(readLedger({ from: '2021-01-01' }), ['provider']);
+  const zai = byProvider.rows.find(r => r.provider === 'zai');
+  check('grouped rows', byProvider.rows.length, 2);
+  check('zai failures', zai.failures, 1);
+  check('zai tokens', zai.input_tokens + zai.output_tokens, 15);
+  check('total requests', byProvider.totals.requests, 3);
+
+  const table = formatTable(byProvider.rows, byProvider.totals, ['provider']);
+  check('table header', table.split('\n')[0].startsWith('provider'), true);
+  check('table total row', table.split('\n').pop().startsWith('TOTAL'), true);
+  console.log('\n');
+
+  fs.rmSync(process.env.HOME, { recursive: true, force: true });
+
+  console.log('=== All Tests Complete ===');
+}
+
+main();
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for working directory validation
+ *
+ * Usage: node test-workdir.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const base = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'workdir-test-')));
+const project = path.join(base, 'project');
+const extra = path.join(base, 'extra');
+const outside = path.join(base, 'outside');
+for (const dir of [path.join(project, 'lib'), extra, outside]) {
+  fs.mkdirSync(dir, { recursive: true });
+}
+fs.writeFileSync(path.join(project, 'README.md'), '# test\n');
+fs.symlinkSync(outside, path.join(project, 'escape'));
+
+process.env.HOME = base;
+process.env.CLAUDE_PROJECT_DIR = project;
+process.env.MULTI_PROVIDER_CONFIG = path.join(base, 'config.json');
+fs.writeFileSync(process.env.MULTI_PROVIDER_CONFIG, JSON.stringify({ workdir_allowlist: ['~/extra', '/does/not/exist'] }));
+
+const { getProjectRoot, getWorkdirAllowlist, resolveWorkdir } = require('../lib/workdir.js');
+const { check } = require('./helpers.js');
+
+console.log('=== Working Directory Test Suite ===\n');
+
+// Test 1: Defaults and allowlist
+console.log('Test 1: Defaults and Allowlist');
+console.log('------------------------------');
+check('project root from env', getProjectRoot(), project);
+check('allowlist expands ~ and drops missing roots', getWorkdirAllowlist().join(','), `${project},${extra}`);
+check('default is project root', resolveWorkdir(undefined).path, project);
+console.log('\n');
+
+// Test 2: Validation
+console.log('Test 2: Validation');
+console.log('------------------');
+check('relative subdirectory', resolveWorkdir('lib').path, path.join(project, 'lib'));
+check('allowlisted root', resolveWorkdir(extra).ok, true);
+check('outside rejected', resolveWorkdir(outside).ok, false);
+check('parent traversal rejected', resolveWorkdir('../outside').ok, false);
+check('symlink escape rejected', resolveWorkdir('escape').ok, false);
+check('missing directory', resolveWorkdir('nope').message.includes('does not exist'), true);
+check('file is not a directory', resolveWorkdir('README.md').ok, false);
+check('empty string', resolveWorkdir(' ').message.includes('`workdir`'), true);
+console.log('\n');
+
+fs.rmSync(base, { recursive: true, force: true });
+
+console.log('=== All Tests Complete ===');
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the Z.ai command: Messages API parameters and SSE
+ * streaming against a local HTTP stub
+ *
+ * Usage: node test-zai.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+// Keep breaker state and usage records out of the real home directory
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'zai-test-'));
+
+const { check } = require('./helpers.js');
+
+function sse(events) {
+  return events.map(([name, data]) => `event: ${name}\ndata: ${JSON.stringify(data)}\n\n`).join('');
+}
+
+// The stub answers according to the prompt of the last message
+const SCENARIOS = {
+  ok: sse([
+    ['message_start', { type: 'message_start', message: { usage: { input_tokens: 7 } } }],
+    ['content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }],
+    ['ping', { type: 'ping' }],
+    ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hel' } }],
+    ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'lo' } }],
+    ['message_delta', { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } }],
+    ['message_stop', { type: 'message_stop' }]
+  ]),
+  overloaded: sse([
+    ['message_start', { type: 'message_start', message: { usage: { input_tokens: 7 } } }],
+    ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Par' } }],
+    ['error', { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }]
+  ]),
+  truncated: sse([
+    ['message_start', { type: 'message_start', message: { usage: { input_tokens: 7 } } }],
+    ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Par' } }]
+  ])
+};
+
+function startStub() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      const prompt = request.messages[request.messages.length - 1].content;
+      if (prompt === 'limit') {
+        res.writeHead(429, { 'Content-Type': 'application/json' });
+        res.end('{"type":"error","error":{"type":"rate_limit_error"}}');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      if (prompt === 'dropped') {
+        // Connection lost mid-stream
+        res.write(SCENARIOS.truncated);
+        setTimeout(() => res.destroy(), 20);
+        return;
+      }
+      // Split the body at odd offsets to exercise partial lines
+      const payload = SCENARIOS[prompt] || SCENARIOS.ok;
+      for (let i = 0; i < payload.length; i += 37) {
+        res.write(payload.slice(i, i + 37));
+      }
+      res.end();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function main() {
+  console.log('=== Z.ai Test Suite ===\n');
+
+  const server = await startStub();
+  process.env.ZAI_API_URL = `http://127.0.0.1:${server.address().port}/v1/messages`;
+  const { makeRequest, pickMessageParams, validateMessageParams } = require('../commands/zai-cli.cjs');
+
+  // Test 1: Picking parameters
+  console.log('Test 1: Picking Parameters');
+  console.log('--------------------------');
+  const picked = pickMessageParams({ prompt: 'x', model: 'm', system: 's', max_tokens: 10, stream: true });
+  check('keeps message params', Object.keys(picked).join(','), 'system,max_tokens');
+  console.log('\n');
+
+  // Test 2: Validation
+  console.log('Test 2: Validation');
+  console.log('------------------');
+  const valid = [
+    ['full set', { system: 'be brief', temperature: 0.3, top_p: 0.9, max_tokens: 256, stop_sequences: ['END'], metadata: { user_id: 'u1' } }],
+    ['system blocks', { system: [{ type: 'text', text: 'be brief' }] }],
+    ['empty', {}]
+  ];
+  for (const [label, params] of valid) {
+    check(label, validateMessageParams(params), null);
+  }
+
+  const invalid = [
+    ['system number', { system: 42 }, 'system'],
+    ['temperature > 1', { temperature: 1.5 }, 'temperature'],
+    ['top_p string', { top_p: '0.5' }, 'top_p'],
+    ['max_tokens float', { max_tokens: 1.5 }, 'max_tokens'],
+    ['empty stop sequence', { stop_sequences: [''] }, 'stop_sequences'],
+    ['unknown metadata key', { metadata: { team: 'x' } }, 'metadata']
+  ];
+  for (const [label, params, field] of invalid) {
+    const message = validateMessageParams(params) || '';
+    check(label, message.includes(`\`${field}\``), true);
+  }
+  console.log('\n');
+
+  // Test 3: SSE streaming
+  console.log('Test 3: SSE Streaming');
+  console.log('---------------------');
+  const deltas = [];
+  const onEvent = (event, data) => deltas.push(data.text);
+
+  const ok = await makeRequest('ok', undefined, 'test-key', { onEvent });
+  check('assembled output', ok.output, 'Hello');
+  check('incremental deltas', deltas.join('|'), 'Hel|lo');
+  check('stop reason', ok.stop_reason, 'end_turn');
+  check('usage', `${ok.usage.input_tokens}/${ok.usage.output_tokens}`, '7/2');
+
+  const overloaded = await makeRequest('overloaded', undefined, 'test-key', { onEvent });
+  check('mid-stream error', overloaded.type, 'server_error');
+  const truncated = await makeRequest('truncated', undefined, 'test-key', { onEvent });
+  check('missing message_stop', truncated.type, 'server_error');
+  const limited = await makeRequest('limit', undefined, 'test-key', { onEvent });
+  check('HTTP 429', limited.type, 'limit');
+
+  const state = JSON.parse(fs.readFileSync(path.join(process.env.HOME, '.claude-zai-cli-state.json'), 'utf8'));
+  check('breaker counted failures', state.failures.length, 3);
+
+  fs.rmSync(path.join(process.env.HOME, '.claude-zai-cli-state.json'));
+  const dropped = await makeRequest('dropped', undefined, 'test-key', { onEvent });
+  check('dropped connection settles', dropped.type, 'server_error');
+  check('dropped connection reported', dropped.message.includes('connection lost'), true);
+  const afterDrop = JSON.parse(fs.readFileSync(path.join(process.env.HOME, '.claude-zai-cli-state.json'), 'utf8'));
+  check('dropped connection counted', afterDrop.failures.length, 1);
+  console.log('\n');
+
+  server.close();
+  fs.rmSync(process.env.HOME, { recursive: true, force: true });
+
+  console.log('=== All Tests Complete ===');
+}
+
+main();